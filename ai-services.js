@@ -1,352 +1,439 @@
-// AI Service Manager
-// Handles communication with OpenAI, Mistral, and Gemini APIs
-
-class AIServiceManager {
-    constructor() {
-        this.currentProvider = 'openai'; // Default provider
-        this.conversationHistory = [];
-        this.maxHistoryLength = 10; // Keep last 10 messages for context
-    }
-
-    // Set the current AI provider
-    setProvider(provider) {
-        if (['openai', 'mistral', 'gemini'].includes(provider)) {
-            this.currentProvider = provider;
-            return true;
-        }
-        return false;
-    }
-
-    // Get current provider info
-    getCurrentProvider() {
-        return {
-            name: this.currentProvider,
-            config: AI_CONFIG[this.currentProvider]
-        };
-    }
-
-    // Add message to conversation history
-    addToHistory(role, content) {
-        this.conversationHistory.push({ role, content });
-
-        // Keep only the last N messages to manage context length
-        if (this.conversationHistory.length > this.maxHistoryLength) {
-            this.conversationHistory = this.conversationHistory.slice(-this.maxHistoryLength);
-        }
-    }
-
-    // Clear conversation history
-    clearHistory() {
-        this.conversationHistory = [];
-    }
-
-    // Get conversation history for API context
-    getConversationContext() {
-        return this.conversationHistory.map(msg => ({
-            role: msg.role,
-            content: msg.content
-        }));
-    }
-
-    // Main method to get AI response
-    async getAIResponse(userMessage) {
-        // Add user message to history
-        this.addToHistory('user', userMessage);
-
-        try {
-            let response;
-
-            switch (this.currentProvider) {
-                case 'openai':
-                    response = await this.callOpenAI(userMessage);
-                    break;
-                case 'mistral':
-                    response = await this.callMistral(userMessage);
-                    break;
-                case 'gemini':
-                    response = await this.callGemini(userMessage);
-                    break;
-                default:
-                    throw new Error('Unknown AI provider');
-            }
-
-            // Add AI response to history
-            this.addToHistory('assistant', response);
-
-            return response;
-
-        } catch (error) {
-            console.error(`Error with ${this.currentProvider}:`, error);
-            throw error;
-        }
-    }
-
-    // OpenAI API call
-    async callOpenAI(userMessage) {
-        const config = AI_CONFIG.openai;
-
-        if (!config.apiKey) {
-            throw new Error('OpenAI API key not configured');
-        }
-
-        const messages = [
-            { role: 'system', content: 'You are a helpful AI assistant. Provide clear, concise, and helpful responses.' },
-            ...this.getConversationContext()
-        ];
-
-        const response = await fetch(config.endpoint, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${config.apiKey}`
-            },
-            body: JSON.stringify({
-                model: config.model,
-                messages: messages,
-                max_tokens: config.maxTokens,
-                temperature: config.temperature,
-                stream: false
-            })
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(`OpenAI API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
-        }
-
-        const data = await response.json();
-        return data.choices[0]?.message?.content || 'No response from OpenAI';
-    }
-
-    // Mistral AI API call
-    async callMistral(userMessage) {
-        const config = AI_CONFIG.mistral;
-
-        if (!config.apiKey) {
-            throw new Error('Mistral API key not configured');
-        }
-
-        const messages = [
-            { role: 'system', content: 'You are a helpful AI assistant. Provide clear, concise, and helpful responses.' },
-            ...this.getConversationContext()
-        ];
-
-        const response = await fetch(config.endpoint, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${config.apiKey}`
-            },
-            body: JSON.stringify({
-                model: config.model,
-                messages: messages,
-                max_tokens: config.maxTokens,
-                temperature: config.temperature,
-                stream: false
-            })
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(`Mistral API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
-        }
-
-        const data = await response.json();
-        return data.choices[0]?.message?.content || 'No response from Mistral';
-    }
-
-    // Google Gemini API call
-    async callGemini(userMessage) {
-        const config = AI_CONFIG.gemini;
-
-        if (!config.apiKey) {
-            throw new Error('Gemini API key not configured');
-        }
-
-        // Gemini has a different API structure
-        const contents = [
-            {
-                role: 'user',
-                parts: [{ text: 'You are a helpful AI assistant. Provide clear, concise, and helpful responses.' }]
-            }
-        ];
-
-        // Add conversation context
-        this.getConversationContext().forEach(msg => {
-            contents.push({
-                role: msg.role === 'user' ? 'user' : 'model',
-                parts: [{ text: msg.content }]
-            });
-        });
-
-        const url = `${config.endpoint}?key=${config.apiKey}`;
-
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                contents: contents,
-                generationConfig: {
-                    maxOutputTokens: config.maxTokens,
-                    temperature: config.temperature
-                }
-            })
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(`Gemini API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
-        }
-
-        const data = await response.json();
-        return data.candidates[0]?.content?.parts[0]?.text || 'No response from Gemini';
-    }
-
-    // Translate text using the current provider
-    async translateText(text, sourceLang = 'auto', targetLang = 'English') {
-        const provider = this.currentProvider;
-        const systemPrompt = `You are a translation engine. Translate the user text into ${targetLang}. If a source language is provided (${sourceLang}), respect it; otherwise auto-detect. Return only the translated text with no extra commentary.`;
-
-        switch (provider) {
-            case 'openai': {
-                const config = AI_CONFIG.openai;
-                if (!config.apiKey) throw new Error('OpenAI API key not configured');
-                const response = await fetch(config.endpoint, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${config.apiKey}`
-                    },
-                    body: JSON.stringify({
-                        model: config.model,
-                        messages: [
-                            { role: 'system', content: systemPrompt },
-                            { role: 'user', content: text }
-                        ],
-                        max_tokens: Math.min(1000, config.maxTokens),
-                        temperature: 0.2,
-                        stream: false
-                    })
-                });
-                if (!response.ok) {
-                    const errorData = await response.json().catch(() => ({}));
-                    throw new Error(`OpenAI API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
-                }
-                const data = await response.json();
-                return data.choices[0]?.message?.content?.trim() || '';
-            }
-            case 'mistral': {
-                const config = AI_CONFIG.mistral;
-                if (!config.apiKey) throw new Error('Mistral API key not configured');
-                const response = await fetch(config.endpoint, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${config.apiKey}`
-                    },
-                    body: JSON.stringify({
-                        model: config.model,
-                        messages: [
-                            { role: 'system', content: systemPrompt },
-                            { role: 'user', content: text }
-                        ],
-                        max_tokens: Math.min(1000, config.maxTokens),
-                        temperature: 0.2,
-                        stream: false
-                    })
-                });
-                if (!response.ok) {
-                    const errorData = await response.json().catch(() => ({}));
-                    throw new Error(`Mistral API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
-                }
-                const data = await response.json();
-                return data.choices[0]?.message?.content?.trim() || '';
-            }
-            case 'gemini': {
-                const config = AI_CONFIG.gemini;
-                if (!config.apiKey) throw new Error('Gemini API key not configured');
-                const url = `${config.endpoint}?key=${config.apiKey}`;
-                const contents = [
-                    { role: 'user', parts: [{ text: systemPrompt }] },
-                    { role: 'user', parts: [{ text }] }
-                ];
-                const response = await fetch(url, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        contents,
-                        generationConfig: {
-                            maxOutputTokens: Math.min(1000, config.maxTokens),
-                            temperature: 0.2
-                        }
-                    })
-                });
-                if (!response.ok) {
-                    const errorData = await response.json().catch(() => ({}));
-                    throw new Error(`Gemini API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
-                }
-                const data = await response.json();
-                return data.candidates[0]?.content?.parts[0]?.text?.trim() || '';
-            }
-            default:
-                throw new Error('Unknown provider');
-        }
-    }
-
-    // Test API connection
-    async testConnection(provider = null) {
-        const testProvider = provider || this.currentProvider;
-        const testMessage = 'Hello, this is a test message.';
-
-        try {
-            this.setProvider(testProvider);
-            const response = await this.getAIResponse(testMessage);
-            return {
-                success: true,
-                provider: testProvider,
-                response: response
-            };
-        } catch (error) {
-            return {
-                success: false,
-                provider: testProvider,
-                error: error.message
-            };
-        }
-    }
-
-    // Get available providers
-    getAvailableProviders() {
-        return Object.keys(AI_CONFIG).filter(provider => {
-            const config = AI_CONFIG[provider];
-            return config && config.apiKey && config.apiKey.trim() !== '';
-        });
-    }
-
-    // Validate API key format
-    validateAPIKey(provider, apiKey) {
-        if (!apiKey || apiKey.trim() === '') {
-            return false;
-        }
-
-        switch (provider) {
-            case 'openai':
-                return apiKey.startsWith('sk-') && apiKey.length > 20;
-            case 'mistral':
-                return apiKey.startsWith('mistral-') && apiKey.length > 20;
-            case 'gemini':
-                return apiKey.length > 20; // Gemini keys don't have a specific prefix
-            default:
-                return false;
-        }
-    }
-}
-
-// Export the class
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = AIServiceManager;
-} else {
-    window.AIServiceManager = AIServiceManager;
-}
+// AI Service Manager
+// Builds requests for the selected provider and routes them through its adapter
+// (see provider-registry.js and providers/)
+
+class AIServiceManager {
+    constructor(registry = ProviderRegistry.createDefault()) {
+        this.registry = registry;
+        this.currentProvider = 'openai'; // Default provider
+        this.currentModel = null; // Model picked for the current chat; null means the provider's default
+        this.defaultSystemPrompt = 'You are a helpful AI assistant. Provide clear, concise, and helpful responses.';
+
+        // Context window sizes (tokens) for known model families, used when the
+        // provider config does not set contextWindow. First match wins.
+        this.contextWindowPatterns = [
+            [/gemini-(1\.5|2)/, 1048576],
+            [/gemini/, 32768],
+            [/gpt-4\.1/, 1047576],
+            [/gpt-5|gpt-4o|gpt-4-turbo|^o[134]/, 128000],
+            [/gpt-3\.5-turbo/, 16385],
+            [/gpt-4/, 8192],
+            [/mistral-(large|medium|small)|pixtral|codestral|ministral/, 32000],
+            [/mistral|mixtral/, 32000],
+            [/claude/, 200000]
+        ];
+        this.defaultContextWindow = 8192;
+        this.imageTokenEstimate = 1000; // rough per-image cost across providers
+
+        // Model lists fetched from the providers, cached in localStorage
+        this.modelCacheKey = 'modelCache';
+        this.modelCacheTTL = 24 * 60 * 60 * 1000;
+        this.modelRequests = new Map(); // provider id -> listModels() in flight
+
+        // Generation parameters set in Settings; chats can override each of them
+        this.generationDefaultsKey = 'generationDefaults';
+        this.generationDefaults = this.loadGenerationDefaults();
+    }
+
+    loadGenerationDefaults() {
+        try {
+            return JSON.parse(localStorage.getItem(this.generationDefaultsKey) || '{}');
+        } catch (error) {
+            console.warn('Failed to load generation defaults:', error);
+            return {};
+        }
+    }
+
+    // defaults: { systemPrompt, temperature, topP, maxTokens, stop, seed }, unset keys left out
+    setGenerationDefaults(defaults) {
+        this.generationDefaults = { ...defaults };
+        try {
+            localStorage.setItem(this.generationDefaultsKey, JSON.stringify(this.generationDefaults));
+        } catch (error) {
+            console.warn('Failed to save generation defaults:', error);
+        }
+    }
+
+    // Generation parameters of a request. A chat's own params win over the
+    // defaults set in Settings, which win over the provider's config.js values.
+    resolveGenerationParams(provider = this.currentProvider, params = {}) {
+        const config = this.getAdapter(provider).config;
+        const isSet = (value) => value !== undefined && value !== null && value !== '' &&
+            !(Array.isArray(value) && value.length === 0);
+        const pick = (key, fallback) => [params?.[key], this.generationDefaults[key]].find(isSet) ?? fallback;
+
+        return {
+            systemPrompt: pick('systemPrompt', this.defaultSystemPrompt),
+            temperature: pick('temperature', config.temperature),
+            topP: pick('topP', config.topP),
+            maxTokens: pick('maxTokens', config.maxTokens),
+            stop: pick('stop', config.stop),
+            seed: pick('seed', config.seed)
+        };
+    }
+
+    // Set the current AI provider, optionally with a model (default: the
+    // provider's configured one)
+    setProvider(provider, model = null) {
+        if (this.registry.has(provider)) {
+            this.currentProvider = provider;
+            this.currentModel = model;
+            return true;
+        }
+        return false;
+    }
+
+    // Set the model of the current provider
+    setModel(model) {
+        this.currentModel = model || null;
+    }
+
+    // Model requests to a provider use: the picked model for the current
+    // provider, otherwise the configured default
+    getModel(provider = this.currentProvider) {
+        if (provider === this.currentProvider && this.currentModel) return this.currentModel;
+        return this.getAdapter(provider).config.model;
+    }
+
+    // Provider and model of a request: { provider, model } in the options win
+    // over the current selection
+    resolveTarget(options = {}) {
+        const provider = options.provider || this.currentProvider;
+        return { provider, model: options.model || this.getModel(provider) };
+    }
+
+    // Adapter of a provider (the current one by default)
+    getAdapter(provider = this.currentProvider) {
+        const adapter = this.registry.get(provider);
+        if (!adapter) throw new Error(`Unknown AI provider: ${provider}`);
+        return adapter;
+    }
+
+    // Get current provider info
+    getCurrentProvider() {
+        const adapter = this.getAdapter();
+        return {
+            name: this.currentProvider,
+            label: adapter.name,
+            model: this.getModel(),
+            config: adapter.config,
+            adapter
+        };
+    }
+
+    // Whether a provider has the key/endpoint it needs
+    isProviderConfigured(provider = this.currentProvider) {
+        return this.registry.has(provider) && this.getAdapter(provider).isConfigured();
+    }
+
+    // Build the API context for one request from the chat's earlier turns
+    // plus the new user message. The manager keeps no conversation state of
+    // its own, so the context always matches the chat it was built from.
+    buildConversationContext(history = [], userMessage, attachments = []) {
+        return [
+            ...history.map(msg => ({
+                role: msg.role,
+                content: msg.content,
+                attachments: msg.attachments || []
+            })),
+            { role: 'user', content: userMessage, attachments: attachments || [] }
+        ];
+    }
+
+    // System prompt for a request; a rolling summary of turns that no longer
+    // fit in the context is appended to it
+    getSystemPrompt(options = {}) {
+        const prompt = options.systemPrompt || this.defaultSystemPrompt;
+        if (!options.summary) return prompt;
+        return `${prompt}\n\nSummary of the earlier part of this conversation (older messages are not included below):\n${options.summary}`;
+    }
+
+    // Rough token estimate (~4 characters per token) that works across providers
+    estimateTokens(text) {
+        return Math.ceil((text || '').length / 4);
+    }
+
+    estimateMessageTokens(msg) {
+        let tokens = 4 + this.estimateTokens(msg.content); // per-message framing overhead
+        (msg.attachments || []).forEach(att => {
+            tokens += att.type === 'image' ? this.imageTokenEstimate : this.estimateTokens(att.content) + 10;
+        });
+        return tokens;
+    }
+
+    // Context window of a provider's model (the one in use by default)
+    getContextWindow(provider = this.currentProvider, model = this.getModel(provider)) {
+        const config = this.getAdapter(provider).config;
+        if (config.contextWindow) return config.contextWindow;
+
+        const match = this.contextWindowPatterns.find(([pattern]) => pattern.test(model || ''));
+        return match ? match[1] : this.defaultContextWindow;
+    }
+
+    // Tokens available for conversation messages: the context window minus the
+    // room reserved for the reply (maxTokens) and the system prompt
+    getContextBudget(provider = this.currentProvider, options = {}) {
+        const config = this.getAdapter(provider).config;
+        const reserved = (options.maxTokens ?? config.maxTokens ?? 0) + this.estimateTokens(this.getSystemPrompt(options)) + 16;
+        return Math.max(0, this.getContextWindow(provider, options.model || this.getModel(provider)) - reserved);
+    }
+
+    // Keep the newest messages that fit in the budget. The latest message is
+    // always kept, and the kept part never starts with an assistant turn.
+    fitContextToBudget(context, budget) {
+        let usedTokens = 0;
+        let start = context.length;
+
+        for (let i = context.length - 1; i >= 0; i--) {
+            const tokens = this.estimateMessageTokens(context[i]);
+            if (usedTokens + tokens > budget && i < context.length - 1) break;
+            usedTokens += tokens;
+            start = i;
+        }
+
+        while (start < context.length - 1 && context[start].role !== 'user') {
+            usedTokens -= this.estimateMessageTokens(context[start]);
+            start++;
+        }
+
+        return {
+            messages: context.slice(start),
+            droppedCount: start,
+            usedTokens
+        };
+    }
+
+    // How much of the budget a chat uses: history is the chat's turns that
+    // would be sent next (not already covered by the summary)
+    measureContext(history, options = {}) {
+        const { provider, model } = this.resolveTarget(options);
+        options = { ...options, model, ...this.resolveGenerationParams(provider, options.params) };
+        const budget = this.getContextBudget(provider, options);
+        const context = history.map(msg => ({ ...msg, attachments: msg.attachments || [] }));
+        const fitted = context.length > 0 ? this.fitContextToBudget(context, budget) : { droppedCount: 0, usedTokens: 0 };
+        const systemTokens = this.estimateTokens(this.getSystemPrompt(options));
+
+        return {
+            budget,
+            usedTokens: fitted.usedTokens,
+            totalTokens: fitted.usedTokens + systemTokens,
+            contextWindow: this.getContextWindow(provider, model),
+            droppedCount: fitted.droppedCount
+        };
+    }
+
+    // Condense turns that fell out of the context window into a short summary,
+    // folding in the previous summary so it keeps rolling forward
+    async summarizeConversation(turns, previousSummary = '', options = {}) {
+        const transcript = turns
+            .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${this.getAdapter(options.provider).composeMessageText(msg, false)}`)
+            .join('\n\n');
+        const request = (previousSummary ? `Existing summary:\n${previousSummary}\n\nNew messages:\n` : '') + transcript;
+
+        const summary = await this.dispatch(
+            [{ role: 'user', content: request, attachments: [] }],
+            {
+                ...options,
+                stream: false,
+                systemPrompt: 'You maintain a running summary of a conversation between a user and an AI assistant. ' +
+                    'Merge the existing summary (if any) with the new messages into one concise summary of at most 200 words. ' +
+                    'Keep facts, decisions, names, code identifiers and open questions. Reply with the summary only.'
+            }
+        );
+        return summary.trim();
+    }
+
+    // A short title for a conversation, from its first prompt and answer
+    async generateTitle(prompt, answer, options = {}) {
+        const excerpt = (text) => text.length > 1500 ? `${text.slice(0, 1500)}…` : text;
+        const reply = await this.dispatch(
+            [{ role: 'user', content: `User: ${excerpt(prompt)}\n\nAssistant: ${excerpt(answer)}`, attachments: [] }],
+            {
+                ...options,
+                stream: false,
+                systemPrompt: 'Write a short, specific title of at most six words for the conversation below. ' +
+                    'Reply with the title only: no quotes, no markdown, no ending punctuation.'
+            }
+        );
+        // Models sometimes add quotes, a heading mark or a second line anyway
+        const title = reply.trim().split('\n')[0]
+            .replace(/^[#*\s]+|[*\s]+$/g, '')
+            .replace(/^["'“”‘’]+|["'“”‘’.]+$/g, '')
+            .trim();
+        if (!title) throw new Error('The model returned an empty title');
+        return title.length > 60 ? `${title.slice(0, 57)}...` : title;
+    }
+
+    // Check whether a provider's model (the one in use by default) accepts images
+    supportsVision(provider = this.currentProvider, model = this.getModel(provider)) {
+        return this.getAdapter(provider).supportsVision(model);
+    }
+
+    // Cached model list of a provider ({ models, fetchedAt }), or null
+    getCachedModels(provider = this.currentProvider) {
+        try {
+            const cache = JSON.parse(localStorage.getItem(this.modelCacheKey) || '{}');
+            return cache[provider] || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Store (or with null, drop) one provider's entry in the model cache
+    saveCachedModels(provider, entry) {
+        try {
+            const cache = JSON.parse(localStorage.getItem(this.modelCacheKey) || '{}');
+            if (entry) cache[provider] = entry; else delete cache[provider];
+            localStorage.setItem(this.modelCacheKey, JSON.stringify(cache));
+        } catch (error) {
+            console.warn('Failed to save the model cache:', error);
+        }
+    }
+
+    // Forget cached model lists (of one provider, or all of them)
+    clearModelCache(provider = null) {
+        if (provider) {
+            this.saveCachedModels(provider, null);
+        } else {
+            localStorage.removeItem(this.modelCacheKey);
+        }
+    }
+
+    // Model ids a provider offers, from the cache while it is fresh.
+    // Pass { refresh: true } to ask the provider again.
+    async listModels(provider = this.currentProvider, options = {}) {
+        const cached = this.getCachedModels(provider);
+        if (!options.refresh && cached && Date.now() - cached.fetchedAt < this.modelCacheTTL) {
+            return cached.models;
+        }
+        if (this.modelRequests.has(provider)) return this.modelRequests.get(provider);
+
+        const request = this.getAdapter(provider).listModels()
+            .then(models => {
+                this.saveCachedModels(provider, { models, fetchedAt: Date.now() });
+                return models;
+            })
+            .finally(() => this.modelRequests.delete(provider));
+        this.modelRequests.set(provider, request);
+        return request;
+    }
+
+    // Main method to get AI response
+    // Pass { stream: true, onToken } to receive the text incrementally;
+    // onToken(delta, fullText) is called for every chunk as it arrives.
+    // Pass { signal } (from an AbortController) to cancel the request.
+    // Pass { attachments } (processed by FileHandler) to send files with the message.
+    // Pass { history } with the chat's earlier turns ({ role, content, attachments }).
+    // Pass { summary } with the rolling summary of turns left out of history.
+    // Pass { provider, model } to use another than the current selection.
+    // Pass { params } with the chat's generation parameters (system prompt,
+    // temperature, topP, maxTokens, stop, seed); unset ones use the defaults.
+    // Older turns that do not fit in the model's token budget are dropped.
+    async getAIResponse(userMessage, options = {}) {
+        const target = this.resolveTarget(options);
+        options = { ...options, ...target, ...this.resolveGenerationParams(target.provider, options.params) };
+        const fullContext = this.buildConversationContext(options.history, userMessage, options.attachments);
+        const { messages: context } = this.fitContextToBudget(fullContext, this.getContextBudget(target.provider, options));
+
+        // Track streamed text so an aborted request can still keep its partial output
+        let partialText = '';
+        const onToken = options.onToken;
+        options = {
+            ...options,
+            onToken: (delta, fullText) => {
+                partialText = fullText;
+                if (onToken) onToken(delta, fullText);
+            }
+        };
+
+        try {
+            return await this.dispatch(context, options);
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // Hand back whatever arrived before the stop so the caller can keep it
+                error.partialText = partialText;
+                throw error;
+            }
+            console.error(`Error with ${target.provider}:`, error);
+            throw error;
+        }
+    }
+
+    // Send a prepared context to the request's provider and model
+    async dispatch(context, options = {}) {
+        const { provider, model } = this.resolveTarget(options);
+        return await this.getAdapter(provider).chat(context, {
+            ...options,
+            model,
+            systemPrompt: this.getSystemPrompt(options)
+        });
+    }
+
+    // Translate text using the current provider. Sampling follows the global
+    // defaults, but the system prompt is translation-specific and the global
+    // stop sequences are intentionally not applied: they are meant for chat
+    // replies and could cut a translation short.
+    async translateText(text, sourceLang = 'auto', targetLang = 'English', options = {}) {
+        const adapter = this.getAdapter();
+        const systemPrompt = `You are a translation engine. Translate the user text into ${targetLang}. If a source language is provided (${sourceLang}), respect it; otherwise auto-detect. Return only the translated text with no extra commentary.`;
+        const { temperature, topP, maxTokens, seed } = this.resolveGenerationParams();
+
+        const result = await adapter.chat(
+            [{ role: 'user', content: text, attachments: [] }],
+            {
+                systemPrompt,
+                model: this.getModel(),
+                maxTokens,
+                temperature,
+                topP,
+                seed,
+                signal: options.signal
+            }
+        );
+        return result.trim();
+    }
+
+    // Test API connection
+    async testConnection(provider = null) {
+        const testProvider = provider || this.currentProvider;
+        const testMessage = 'Hello, this is a test message.';
+
+        try {
+            const response = await this.getAIResponse(testMessage, { provider: testProvider });
+            return {
+                success: true,
+                provider: testProvider,
+                response: response
+            };
+        } catch (error) {
+            return {
+                success: false,
+                provider: testProvider,
+                error: error.message
+            };
+        }
+    }
+
+    // Get available providers
+    getAvailableProviders() {
+        return this.registry.list()
+            .filter(adapter => adapter.isConfigured())
+            .map(adapter => adapter.id);
+    }
+
+    // Validate API key format
+    validateAPIKey(provider, apiKey) {
+        if (!apiKey || apiKey.trim() === '' || !this.registry.has(provider)) {
+            return false;
+        }
+        return this.getAdapter(provider).validateKey(apiKey);
+    }
+}
+
+// Export the class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AIServiceManager;
+} else {
+    window.AIServiceManager = AIServiceManager;
+}
@@ -0,0 +1,420 @@
+// Chat Export
+// Turns chats into Markdown, a self-contained HTML page or a JSON archive, and
+// reads archives (and ChatGPT's conversations.json) back. Markdown and HTML
+// hold the branch each chat is on; the archive keeps every branch.
+
+class ChatExport {
+    constructor(markdown) {
+        this.markdown = markdown; // MarkdownRenderer, for the HTML export
+        this.archiveFormat = 'ai-sidebar-chats';
+        this.archiveVersion = 1; // bump when the archive layout changes
+    }
+
+    title(chat) {
+        if (chat.title && chat.title !== 'New Chat') return chat.title;
+        const first = ChatTree.activePath(chat)[0];
+        return first ? first.content.replace(/\s+/g, ' ').slice(0, 60) : 'New Chat';
+    }
+
+    // Something safe to use as a file name
+    fileName(text) {
+        return text.replace(/[^\p{L}\p{N} _-]+/gu, '').trim().replace(/\s+/g, '-').slice(0, 60) || 'chat';
+    }
+
+    senderName(msg) {
+        return msg.sender === 'user' ? 'You' : 'AI';
+    }
+
+    formatTime(iso) {
+        return iso ? new Date(iso).toLocaleString() : '';
+    }
+
+    // Message contents are written as they are, so code fences stay intact
+    toMarkdown(chats) {
+        return chats.map(chat => {
+            const lines = [`# ${this.title(chat)}`, ''];
+            if (chat.model) lines.push(`_${chat.model} · ${this.formatTime(chat.createdAt)}_`, '');
+
+            ChatTree.activePath(chat).forEach(msg => {
+                const time = this.formatTime(msg.timestamp);
+                lines.push(`### ${this.senderName(msg)}${time ? ` · ${time}` : ''}`, '', msg.content, '');
+                if (msg.attachments?.length) {
+                    lines.push(`_Attached: ${msg.attachments.map(att => att.filename).join(', ')}_`, '');
+                }
+            });
+            return lines.join('\n').trim();
+        }).join('\n\n---\n\n') + '\n';
+    }
+
+    // A page that needs nothing else: answers go through the same sanitizer
+    // and highlighting as in the app, math is written as MathML, and a
+    // Content-Security-Policy keeps it from loading or running anything
+    toHtml(chats) {
+        const doc = document.implementation.createHTMLDocument(chats.length === 1 ? this.title(chats[0]) : 'AI Sidebar chats');
+        const meta = doc.createElement('meta');
+        meta.httpEquiv = 'Content-Security-Policy';
+        meta.content = "default-src 'none'; style-src 'unsafe-inline'; img-src data:";
+        const charset = doc.createElement('meta');
+        charset.setAttribute('charset', 'utf-8');
+        const style = doc.createElement('style');
+        style.textContent = ChatExport.htmlStyles;
+        doc.head.prepend(charset, meta);
+        doc.head.appendChild(style);
+
+        chats.forEach(chat => {
+            const section = doc.createElement('section');
+            const heading = doc.createElement('h1');
+            heading.textContent = this.title(chat);
+            section.appendChild(heading);
+            if (chat.model) {
+                const info = doc.createElement('p');
+                info.className = 'info';
+                info.textContent = `${chat.model} · ${this.formatTime(chat.createdAt)}`;
+                section.appendChild(info);
+            }
+
+            ChatTree.activePath(chat).forEach(msg => {
+                const article = doc.createElement('article');
+                article.className = msg.sender === 'user' ? 'user' : 'ai';
+                const header = doc.createElement('header');
+                header.textContent = `${this.senderName(msg)} · ${this.formatTime(msg.timestamp)}`;
+                const body = doc.createElement('div');
+                body.className = 'content';
+                if (msg.sender === 'user') {
+                    body.textContent = msg.content;
+                    body.classList.add('plain');
+                } else {
+                    body.innerHTML = this.markdown.render(msg.content);
+                    this.finishHtml(body);
+                }
+                article.append(header, body);
+                (msg.attachments || []).forEach(att => article.appendChild(this.attachmentHtml(doc, att)));
+                section.appendChild(article);
+            });
+            doc.body.appendChild(section);
+        });
+
+        return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}\n`;
+    }
+
+    // Highlight code, typeset math and turn the app's click-to-load image
+    // placeholders into plain links
+    finishHtml(body) {
+        body.querySelectorAll('pre > code').forEach(code => this.markdown.highlightCode(code));
+        body.querySelectorAll('.math-inline, .math-display').forEach(element => {
+            if (typeof katex === 'undefined') return;
+            try {
+                katex.render(element.textContent, element, {
+                    displayMode: element.classList.contains('math-display'),
+                    output: 'mathml',
+                    throwOnError: false,
+                    trust: false
+                });
+            } catch (error) {
+                console.warn('KaTeX error:', error);
+            }
+        });
+        body.querySelectorAll('.remote-image').forEach(placeholder => {
+            const link = document.createElement('a');
+            link.href = placeholder.dataset.src;
+            link.textContent = placeholder.dataset.alt || placeholder.dataset.src;
+            placeholder.replaceWith(link);
+        });
+    }
+
+    attachmentHtml(doc, att) {
+        const item = doc.createElement('figure');
+        item.className = 'attachment';
+        if (att.type === 'image' && /^image\/[\w.+-]+$/.test(att.mimeType) && /^[\w+/=]+$/.test(att.base64 || '')) {
+            const img = doc.createElement('img');
+            img.src = `data:${att.mimeType};base64,${att.base64}`;
+            img.alt = att.filename;
+            item.appendChild(img);
+        }
+        const caption = doc.createElement('figcaption');
+        caption.textContent = `📎 ${att.filename}`;
+        item.appendChild(caption);
+        return item;
+    }
+
+    // Everything needed to restore the chats, every branch and attachment included
+    toArchive(chats, folders = []) {
+        const folderIds = new Set(chats.map(chat => chat.folderId).filter(Boolean));
+        return JSON.stringify({
+            format: this.archiveFormat,
+            version: this.archiveVersion,
+            exportedAt: new Date().toISOString(),
+            folders: folders.filter(folder => folderIds.has(folder.id)),
+            chats
+        }, null, 2);
+    }
+
+    // Chats (and folders) from an archive or a ChatGPT conversations.json
+    parseImport(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        if (data?.format === this.archiveFormat) {
+            if (!(data.version <= this.archiveVersion)) {
+                throw new Error(`The archive is from a newer version of the app (format ${data.version})`);
+            }
+            return {
+                chats: (Array.isArray(data.chats) ? data.chats : []).map(chat => this.validChat(chat)).filter(Boolean),
+                folders: (Array.isArray(data.folders) ? data.folders : []).map(folder => this.validFolder(folder)).filter(Boolean)
+            };
+        }
+        if (Array.isArray(data) && data.length > 0 && data.every(item => item && typeof item.mapping === 'object')) {
+            return { chats: data.map(conversation => this.fromChatGPT(conversation)).filter(Boolean), folders: [] };
+        }
+        throw new Error('This is neither an AI Sidebar archive nor a ChatGPT conversations.json export');
+    }
+
+    // A chat from an archive, rebuilt from the fields the app knows and only
+    // when they have the right type; null when it has no id or messages.
+    // Trash state is not imported.
+    validChat(data) {
+        if (!data || typeof data.id !== 'string' || !data.id || !Array.isArray(data.messages)) return null;
+        data.messages = data.messages.filter(msg => msg && typeof msg === 'object');
+        ChatTree.migrate(data); // archives may hold chats saved as a flat list
+
+        const createdAt = this.validDate(data.createdAt) || new Date().toISOString();
+        const tags = Array.isArray(data.tags)
+            ? [...new Set(data.tags.filter(tag => typeof tag === 'string').map(tag => tag.trim()).filter(Boolean))]
+            : [];
+        const summary = data.contextSummary;
+        const chat = {
+            id: data.id,
+            title: typeof data.title === 'string' ? data.title : 'New Chat',
+            autoTitle: data.autoTitle === true || undefined,
+            provider: typeof data.provider === 'string' ? data.provider : undefined,
+            model: typeof data.model === 'string' ? data.model : undefined,
+            messages: data.messages.map(msg => this.validMessage(msg)).filter(Boolean),
+            activeLeafId: data.activeLeafId,
+            createdAt,
+            lastUpdated: this.validDate(data.lastUpdated) || createdAt,
+            pinned: data.pinned === true || undefined,
+            archived: data.archived === true || undefined,
+            folderId: typeof data.folderId === 'string' ? data.folderId : undefined,
+            tags: tags.length > 0 ? tags : undefined,
+            params: this.validParams(data.params),
+            contextSummary: summary && typeof summary.text === 'string' && typeof summary.throughId === 'string'
+                ? { text: summary.text, throughId: summary.throughId, updatedAt: this.validDate(summary.updatedAt) || createdAt }
+                : undefined
+        };
+        Object.keys(chat).forEach(key => chat[key] === undefined && delete chat[key]);
+
+        if (!chat.messages.some(msg => msg.id === chat.activeLeafId)) {
+            chat.activeLeafId = chat.messages.length > 0 ? ChatTree.latestLeaf(chat, null) : null;
+        }
+        return chat;
+    }
+
+    validFolder(data) {
+        if (!data || typeof data.id !== 'string' || !data.id || typeof data.name !== 'string') return null;
+        const folder = { id: data.id, name: data.name, createdAt: this.validDate(data.createdAt) || new Date().toISOString() };
+        if (data.collapsed === true) folder.collapsed = true;
+        return folder;
+    }
+
+    validMessage(msg) {
+        if (typeof msg.id !== 'string' || typeof msg.content !== 'string' || !['user', 'ai'].includes(msg.sender)) return null;
+        const message = {
+            id: msg.id,
+            parentId: typeof msg.parentId === 'string' ? msg.parentId : null,
+            content: msg.content,
+            sender: msg.sender
+        };
+        const timestamp = this.validDate(msg.timestamp);
+        if (timestamp) message.timestamp = timestamp;
+        if (msg.error === true) message.error = true;
+        if (msg.interrupted === true) message.interrupted = true;
+        const attachments = Array.isArray(msg.attachments) ? msg.attachments.map(att => this.validAttachment(att)).filter(Boolean) : [];
+        if (attachments.length > 0) message.attachments = attachments;
+        return message;
+    }
+
+    // An image (base64 data) or an extracted document (text), as file-handler.js makes them
+    validAttachment(att) {
+        if (!att || typeof att.filename !== 'string' || typeof att.mimeType !== 'string') return null;
+        const size = Number.isFinite(att.size) ? att.size : 0;
+        if (att.type === 'image' && typeof att.base64 === 'string' && att.mimeType.startsWith('image/')) {
+            return { type: 'image', mimeType: att.mimeType, base64: att.base64, filename: att.filename, size };
+        }
+        if (att.type === 'document' && typeof att.content === 'string') {
+            return { type: 'document', mimeType: att.mimeType, content: att.content, filename: att.filename, size };
+        }
+        return null;
+    }
+
+    // Per-chat generation parameters with the types the settings form produces
+    validParams(params) {
+        if (!params || typeof params !== 'object') return undefined;
+        const valid = {};
+        if (typeof params.systemPrompt === 'string' && params.systemPrompt) valid.systemPrompt = params.systemPrompt;
+        ['temperature', 'topP'].forEach(key => {
+            if (Number.isFinite(params[key])) valid[key] = params[key];
+        });
+        ['maxTokens', 'seed'].forEach(key => {
+            if (Number.isInteger(params[key])) valid[key] = params[key];
+        });
+        if (Array.isArray(params.stop)) {
+            const stop = params.stop.filter(item => typeof item === 'string' && item);
+            if (stop.length > 0) valid.stop = stop;
+        }
+        return Object.keys(valid).length > 0 ? valid : undefined;
+    }
+
+    // An ISO date string, or undefined for anything that is not a date
+    validDate(value) {
+        return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? value : undefined;
+    }
+
+    // A ChatGPT conversation is already a tree ('mapping' of nodes with parent
+    // and children). System, tool and hidden messages are left out; their
+    // children hang from the nearest message that is kept.
+    fromChatGPT(conversation) {
+        const mapping = conversation.mapping || {};
+        const toIso = (seconds) => Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000).toISOString() : null;
+        const createdAt = toIso(conversation.create_time) || new Date().toISOString();
+        const messages = [];
+        const keptAncestor = new Map(); // node id -> id of the nearest kept message (itself when kept)
+
+        const queue = Object.values(mapping)
+            .filter(node => !node.parent || !mapping[node.parent])
+            .map(node => [node.id, null]);
+        while (queue.length > 0) {
+            const [nodeId, parentId] = queue.shift();
+            const node = mapping[nodeId];
+            if (!node || keptAncestor.has(nodeId)) continue;
+
+            const message = node.message;
+            const role = message?.author?.role;
+            const content = this.chatGPTText(message);
+            let keptId = parentId;
+            if ((role === 'user' || role === 'assistant') && content &&
+                !message.metadata?.is_visually_hidden_from_conversation) {
+                messages.push({
+                    id: nodeId,
+                    parentId,
+                    content,
+                    sender: role === 'user' ? 'user' : 'ai',
+                    timestamp: toIso(message.create_time) || createdAt
+                });
+                keptId = nodeId;
+            }
+            keptAncestor.set(nodeId, keptId);
+            (node.children || []).forEach(childId => queue.push([childId, keptId]));
+        }
+        if (messages.length === 0) return null;
+
+        // Without an id of its own a conversation gets a new one, so it cannot
+        // merge into another one that also has none
+        const id = conversation.conversation_id || conversation.id;
+        const chat = {
+            id: `chatgpt-${typeof id === 'string' && id ? id : ChatTree.createId()}`,
+            title: typeof conversation.title === 'string' && conversation.title ? conversation.title : 'New Chat',
+            messages,
+            activeLeafId: keptAncestor.get(conversation.current_node) ?? null,
+            createdAt,
+            lastUpdated: toIso(conversation.update_time) || createdAt
+        };
+        if (!chat.activeLeafId) chat.activeLeafId = ChatTree.latestLeaf(chat, null);
+        return chat;
+    }
+
+    // Text a user typed or the assistant wrote; tool calls and other content types give ''
+    chatGPTText(message) {
+        if (!message || (message.recipient && message.recipient !== 'all')) return '';
+        const { content_type: type, parts } = message.content || {};
+        if (type !== 'text' && type !== 'multimodal_text') return '';
+        return (parts || []).filter(part => typeof part === 'string').join('\n').trim();
+    }
+
+    // Add imported chats to chats (and their folders to folders) in place.
+    // A chat that already exists only gains the messages it does not have, so
+    // importing the same file twice changes nothing; one in the Trash is restored.
+    // Returns { chats: new chat count, messages: new message count,
+    // restored: count of chats taken out of the Trash, changed, folders: new folders }.
+    merge(chats, folders, imported) {
+        const result = { chats: 0, messages: 0, restored: 0, changed: [], folders: [] };
+        imported.folders.forEach(folder => {
+            if (folders.some(existing => existing.id === folder.id)) return;
+            folders.push(folder);
+            result.folders.push(folder);
+        });
+
+        imported.chats.forEach(chat => {
+            const existing = chats.find(c => c.id === chat.id);
+            if (!existing) {
+                chats.push(chat);
+                result.chats++;
+                result.messages += chat.messages.length;
+                result.changed.push(chat);
+                return;
+            }
+
+            const known = new Set(existing.messages.map(msg => msg.id));
+            const added = chat.messages.filter(msg => !known.has(msg.id));
+            if (existing.deletedAt) {
+                delete existing.deletedAt;
+                result.restored++;
+            } else if (added.length === 0) {
+                return;
+            }
+            existing.messages.push(...added);
+            result.messages += added.length;
+            result.changed.push(existing);
+        });
+        return result;
+    }
+}
+
+// Styles of the HTML export: the app's colours, and the highlight.js
+// github-dark token colours
+ChatExport.htmlStyles = `
+body { margin: 0 auto; max-width: 860px; padding: 32px 20px; background: #191724; color: #e0def4; font: 15px/1.6 system-ui, sans-serif; }
+h1 { font-size: 22px; margin: 32px 0 4px; }
+section + section { border-top: 1px solid #403d52; margin-top: 40px; }
+.info { color: #908caa; font-size: 13px; margin: 0 0 16px; }
+article { margin: 16px 0; padding: 12px 16px; border: 1px solid #403d52; border-radius: 12px; background: #1f1d2e; }
+article.user { background: #26233a; }
+article header { color: #908caa; font-size: 12px; margin-bottom: 6px; }
+.content.plain { white-space: pre-wrap; }
+a { color: #c4a7e7; }
+pre { background: #0d1117; border-radius: 8px; padding: 12px; overflow-x: auto; }
+code { font-family: ui-monospace, monospace; font-size: 13px; }
+:not(pre) > code { background: #403d52; padding: 1px 4px; border-radius: 4px; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #403d52; padding: 4px 8px; }
+blockquote { border-left: 3px solid #c4a7e7; margin: 0; padding-left: 12px; color: #908caa; }
+.math-display { display: block; text-align: center; margin: 8px 0; }
+.attachment { margin: 8px 0 0; }
+.attachment img { max-width: 320px; max-height: 240px; border-radius: 8px; display: block; }
+.attachment figcaption { color: #908caa; font-size: 12px; }
+.hljs { color: #c9d1d9; }
+.hljs-doctag, .hljs-keyword, .hljs-meta .hljs-keyword, .hljs-template-tag, .hljs-template-variable, .hljs-type, .hljs-variable.language_ { color: #ff7b72; }
+.hljs-title, .hljs-title.class_, .hljs-title.function_ { color: #d2a8ff; }
+.hljs-attr, .hljs-attribute, .hljs-literal, .hljs-meta, .hljs-number, .hljs-operator, .hljs-selector-attr, .hljs-selector-class, .hljs-selector-id, .hljs-variable { color: #79c0ff; }
+.hljs-meta .hljs-string, .hljs-regexp, .hljs-string { color: #a5d6ff; }
+.hljs-built_in, .hljs-symbol { color: #ffa657; }
+.hljs-code, .hljs-comment, .hljs-formula { color: #8b949e; }
+.hljs-name, .hljs-quote, .hljs-selector-pseudo, .hljs-selector-tag { color: #7ee787; }
+.hljs-subst { color: #c9d1d9; }
+.hljs-section { color: #1f6feb; font-weight: 700; }
+.hljs-bullet { color: #f2cc60; }
+.hljs-emphasis { font-style: italic; }
+.hljs-strong { font-weight: 700; }
+.hljs-addition { color: #aff5b4; background-color: #033a16; }
+.hljs-deletion { color: #ffdcd7; background-color: #67060c; }
+`;
+
+// Export the class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatExport;
+} else {
+    window.ChatExport = ChatExport;
+}
@@ -0,0 +1,116 @@
+// Chat Search
+// Full-text index over the messages of every chat, kept in memory and rebuilt
+// chat by chat as they change. Every word of a query must appear in a message;
+// words match by prefix, so "ngin" finds "nginx".
+
+class ChatSearch {
+    constructor() {
+        this.words = new Map();   // word -> Set of message keys
+        this.entries = new Map(); // message key -> { chat, msg, words }
+        this.chatKeys = new Map(); // chat id -> Set of message keys
+    }
+
+    static tokenize(text) {
+        return (text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+    }
+
+    static hasCode(content) {
+        return /^\s*(```|~~~)/m.test(content || '');
+    }
+
+    // (Re)index every message of a chat, on all of its branches
+    indexChat(chat) {
+        this.removeChat(chat.id);
+        const keys = new Set();
+        chat.messages.forEach(msg => {
+            const key = `${chat.id}\n${msg.id}`;
+            const words = new Set(ChatSearch.tokenize(msg.content));
+            words.forEach(word => {
+                if (!this.words.has(word)) this.words.set(word, new Set());
+                this.words.get(word).add(key);
+            });
+            this.entries.set(key, { chat, msg, words });
+            keys.add(key);
+        });
+        this.chatKeys.set(chat.id, keys);
+    }
+
+    removeChat(chatId) {
+        (this.chatKeys.get(chatId) || []).forEach(key => {
+            this.entries.get(key).words.forEach(word => {
+                const keys = this.words.get(word);
+                keys.delete(key);
+                if (keys.size === 0) this.words.delete(word);
+            });
+            this.entries.delete(key);
+        });
+        this.chatKeys.delete(chatId);
+    }
+
+    clear() {
+        this.words.clear();
+        this.entries.clear();
+        this.chatKeys.clear();
+    }
+
+    // Messages matching the query and filters, newest first, as
+    // { chat, msg, time, snippet }. filters: { provider, from, to (Date), hasCode }
+    search(query, filters = {}, limit = 50) {
+        const terms = [...new Set(ChatSearch.tokenize(query))];
+        let keys = null;
+        terms.forEach(term => {
+            const matches = new Set();
+            this.words.forEach((wordKeys, word) => {
+                if (word.startsWith(term)) wordKeys.forEach(key => matches.add(key));
+            });
+            keys = keys ? new Set([...keys].filter(key => matches.has(key))) : matches;
+        });
+
+        const results = [];
+        (keys || [...this.entries.keys()]).forEach(key => {
+            const { chat, msg } = this.entries.get(key);
+            if (chat.deletedAt) return; // in the Trash
+            // Versions kept by older releases have no timestamp of their own
+            const time = new Date(msg.timestamp || chat.createdAt);
+            if (filters.provider && chat.provider !== filters.provider) return;
+            if (filters.from && !(time >= filters.from)) return;
+            if (filters.to && !(time <= filters.to)) return;
+            if (filters.hasCode && !ChatSearch.hasCode(msg.content)) return;
+            results.push({ chat, msg, time, snippet: this.snippet(msg.content, terms) });
+        });
+
+        return results
+            .sort((a, b) => (b.time.getTime() || 0) - (a.time.getTime() || 0))
+            .slice(0, limit);
+    }
+
+    // A short excerpt around the first match, with the ranges of every match
+    // in it: { text, ranges: [[start, end], ...] }
+    snippet(content, terms, before = 40, length = 160) {
+        const text = (content || '').replace(/\s+/g, ' ').trim();
+        if (terms.length === 0) return { text: text.slice(0, length), ranges: [] };
+
+        const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${escaped.join('|')})`, 'giu');
+        const first = text.search(pattern);
+        const start = first > before ? text.lastIndexOf(' ', first - before) + 1 || first - before : 0;
+        let excerpt = text.slice(start, start + length);
+
+        const prefix = start > 0 ? '…' : '';
+        const suffix = start + length < text.length ? '…' : '';
+        excerpt = prefix + excerpt + suffix;
+
+        const ranges = [];
+        for (const match of excerpt.matchAll(pattern)) {
+            ranges.push([match.index, match.index + match[0].length]);
+        }
+        return { text: excerpt, ranges };
+    }
+}
+
+// Export the class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatSearch;
+} else {
+    window.ChatSearch = ChatSearch;
+}
@@ -0,0 +1,232 @@
+// Chat Store
+// Chats live in IndexedDB, on disk in the app's user data folder. Every chat,
+// message and attachment is its own record, so a change only rewrites the
+// records it touched instead of the whole history. Chats kept in localStorage
+// ('aiSidebarChats') by earlier versions are moved here on first start.
+
+class ChatStore {
+    constructor(name = 'ai-sidebar') {
+        this.name = name;
+        this.schemaVersion = 2; // bump with a new step in upgrade()
+        this.legacyKey = 'aiSidebarChats';
+        this.db = null;
+        this.queue = Promise.resolve(); // writes run one at a time, in order
+        // What was last written, to skip records that did not change
+        this.writtenChats = new Map();    // chat id -> serialized chat record
+        this.writtenMessages = new Map(); // chat id -> Map of message id -> { json, seq }
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.name, this.schemaVersion);
+            request.onupgradeneeded = (event) => this.upgrade(request.result, event.oldVersion);
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('The chat database is in use by another window'));
+        });
+    }
+
+    // Schema migrations, one step per version
+    upgrade(db, oldVersion) {
+        if (oldVersion < 1) {
+            db.createObjectStore('chats', { keyPath: 'id' });
+            // Keys start with the chat id, so a chat's records form one key range
+            db.createObjectStore('messages', { keyPath: ['chatId', 'id'] });
+            db.createObjectStore('attachments', { keyPath: ['chatId', 'messageId', 'index'] });
+        }
+        if (oldVersion < 2) {
+            // Sidebar folders; a chat refers to its folder by chat.folderId
+            db.createObjectStore('folders', { keyPath: 'id' });
+        }
+    }
+
+    // Every chat with its messages and their attachments, newest first
+    async load() {
+        await this.open();
+        await this.importLegacyChats();
+
+        const tx = this.db.transaction(['chats', 'messages', 'attachments'], 'readonly');
+        const [chats, messages, attachments] = await Promise.all(
+            ['chats', 'messages', 'attachments'].map(name => this.result(tx.objectStore(name).getAll()))
+        );
+
+        const attachmentsByMessage = new Map();
+        attachments.forEach(({ chatId, messageId, index, ...attachment }) => {
+            const key = `${chatId}\n${messageId}`;
+            if (!attachmentsByMessage.has(key)) attachmentsByMessage.set(key, []);
+            attachmentsByMessage.get(key)[index] = attachment;
+        });
+
+        const messagesByChat = new Map();
+        messages.forEach(record => {
+            const { chatId, seq, attachmentCount, ...msg } = record;
+            if (attachmentCount > 0) {
+                msg.attachments = (attachmentsByMessage.get(`${chatId}\n${msg.id}`) || []).filter(Boolean);
+            }
+            if (!messagesByChat.has(chatId)) messagesByChat.set(chatId, []);
+            messagesByChat.get(chatId).push({ msg, seq, json: JSON.stringify(record) });
+        });
+
+        chats.forEach(chat => {
+            const entries = (messagesByChat.get(chat.id) || []).sort((a, b) => a.seq - b.seq);
+            this.writtenChats.set(chat.id, JSON.stringify(chat));
+            this.writtenMessages.set(chat.id, new Map(entries.map(({ msg, seq, json }) => [msg.id, { json, seq }])));
+            chat.messages = entries.map(entry => entry.msg);
+        });
+
+        return chats.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+    }
+
+    async loadFolders() {
+        await this.open();
+        const folders = await this.result(this.db.transaction('folders', 'readonly').objectStore('folders').getAll());
+        return folders.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    saveFolder(folder) {
+        return this.enqueue(async () => {
+            await this.open();
+            const tx = this.db.transaction('folders', 'readwrite');
+            tx.objectStore('folders').put(folder);
+            await this.complete(tx);
+        });
+    }
+
+    deleteFolder(folderId) {
+        return this.enqueue(async () => {
+            await this.open();
+            const tx = this.db.transaction('folders', 'readwrite');
+            tx.objectStore('folders').delete(folderId);
+            await this.complete(tx);
+        });
+    }
+
+    // Write the records of a chat that changed since it was last saved, and
+    // delete its messages that are gone
+    saveChat(chat) {
+        return this.enqueue(async () => {
+            await this.open();
+            const tx = this.db.transaction(['chats', 'messages', 'attachments'], 'readwrite');
+            const { messages = [], ...record } = chat;
+
+            const chatJson = JSON.stringify(record);
+            if (this.writtenChats.get(chat.id) !== chatJson) tx.objectStore('chats').put(record);
+
+            const written = this.writtenMessages.get(chat.id) || new Map();
+            const next = new Map();
+            let nextSeq = Math.max(-1, ...[...written.values()].map(entry => entry.seq)) + 1;
+            let lastSeq = -1;
+
+            messages.forEach((msg, index) => {
+                const previous = written.get(msg.id);
+                const { attachments = [], ...fields } = msg;
+                let seq = previous?.seq;
+                if (!previous) {
+                    // A message put back between saved ones (undo) keeps its place
+                    const following = messages.slice(index + 1).find(m => written.has(m.id));
+                    seq = following ? (lastSeq + written.get(following.id).seq) / 2 : nextSeq++;
+                }
+                lastSeq = seq;
+                const messageRecord = { ...fields, chatId: chat.id, seq, attachmentCount: attachments.length };
+                const json = JSON.stringify(messageRecord);
+                next.set(msg.id, { json, seq });
+                if (previous?.json === json) return;
+
+                tx.objectStore('messages').put(messageRecord);
+                // Attachments never change once sent
+                if (!previous) {
+                    attachments.forEach((attachment, index) => {
+                        tx.objectStore('attachments').put({ ...attachment, chatId: chat.id, messageId: msg.id, index });
+                    });
+                }
+            });
+
+            written.forEach((entry, id) => {
+                if (next.has(id)) return;
+                tx.objectStore('messages').delete([chat.id, id]);
+                tx.objectStore('attachments').delete(this.range([chat.id, id]));
+            });
+
+            await this.complete(tx);
+            this.writtenChats.set(chat.id, chatJson);
+            this.writtenMessages.set(chat.id, next);
+        });
+    }
+
+    deleteChat(chatId) {
+        return this.enqueue(async () => {
+            await this.open();
+            const tx = this.db.transaction(['chats', 'messages', 'attachments'], 'readwrite');
+            tx.objectStore('chats').delete(chatId);
+            tx.objectStore('messages').delete(this.range([chatId]));
+            tx.objectStore('attachments').delete(this.range([chatId]));
+            await this.complete(tx);
+            this.writtenChats.delete(chatId);
+            this.writtenMessages.delete(chatId);
+        });
+    }
+
+    // Move chats saved in localStorage by earlier versions into the database.
+    // The old copy is removed only once every chat was written.
+    async importLegacyChats() {
+        const saved = localStorage.getItem(this.legacyKey);
+        if (!saved) return;
+
+        let chats;
+        try {
+            chats = JSON.parse(saved);
+            if (!Array.isArray(chats)) throw new Error('not a list of chats');
+        } catch (error) {
+            console.warn('Chats saved in localStorage are unreadable, leaving them in place:', error);
+            return;
+        }
+
+        // Flat lists become trees (see chat-tree.js); their rolling
+        // summaries are rebuilt after the next reply
+        chats.forEach(chat => {
+            if (ChatTree.migrate(chat)) delete chat.contextSummary;
+        });
+        await Promise.all(chats.map(chat => this.saveChat(chat)));
+        localStorage.removeItem(this.legacyKey);
+    }
+
+    enqueue(write) {
+        const result = this.queue.then(write);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    // Every key that starts with prefix (arrays sort after strings and numbers)
+    range(prefix) {
+        return IDBKeyRange.bound(prefix, [...prefix, []]);
+    }
+
+    result(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    complete(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('The write was aborted'));
+        });
+    }
+}
+
+// Export the class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatStore;
+} else {
+    window.ChatStore = ChatStore;
+}
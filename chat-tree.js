@@ -0,0 +1,120 @@
+// Chat Tree
+// A chat's messages form a tree: every message has a parentId (null for the
+// first one), and editing a prompt or regenerating an answer adds a sibling
+// instead of replacing it. chat.activeLeafId picks the branch that is shown
+// and sent as context; the path from the root to it is the conversation.
+
+class ChatTree {
+    static createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    // Messages from the first one down to the active leaf
+    static activePath(chat) {
+        const byId = new Map(chat.messages.map(msg => [msg.id, msg]));
+        const path = [];
+        let msg = byId.get(chat.activeLeafId);
+        // The length check stops at a cycle in damaged data
+        while (msg && path.length < chat.messages.length) {
+            path.unshift(msg);
+            msg = byId.get(msg.parentId);
+        }
+        return path;
+    }
+
+    // Direct replies to a message (parentId null: the first messages), oldest first
+    static children(chat, parentId) {
+        return chat.messages.filter(msg => (msg.parentId ?? null) === (parentId ?? null));
+    }
+
+    // A message and its alternatives, oldest first
+    static siblings(chat, msg) {
+        return this.children(chat, msg.parentId);
+    }
+
+    static descendants(chat, id) {
+        const result = [];
+        const queue = [id];
+        while (queue.length > 0) {
+            this.children(chat, queue.shift()).forEach(child => {
+                result.push(child);
+                queue.push(child.id);
+            });
+        }
+        return result;
+    }
+
+    // Leaf reached from a message by always following its latest reply
+    static latestLeaf(chat, id) {
+        let leafId = id;
+        let children = this.children(chat, leafId);
+        while (children.length > 0) {
+            leafId = children[children.length - 1].id;
+            children = this.children(chat, leafId);
+        }
+        return leafId;
+    }
+
+    // Add a message under parentId (the active leaf by default) and make it the active leaf
+    static append(chat, msg, parentId = chat.activeLeafId) {
+        msg.parentId = parentId ?? null;
+        chat.messages.push(msg);
+        chat.activeLeafId = msg.id;
+        return msg;
+    }
+
+    // Remove a message and everything that branches off it. When that takes
+    // the active leaf, the latest remaining sibling (or else the parent) is shown.
+    static remove(chat, id) {
+        const msg = chat.messages.find(m => m.id === id);
+        if (!msg) return [];
+
+        const removed = [msg, ...this.descendants(chat, id)];
+        const removedIds = new Set(removed.map(m => m.id));
+        chat.messages = chat.messages.filter(m => !removedIds.has(m.id));
+
+        if (removedIds.has(chat.activeLeafId)) {
+            const siblings = this.children(chat, msg.parentId);
+            chat.activeLeafId = siblings.length > 0
+                ? this.latestLeaf(chat, siblings[siblings.length - 1].id)
+                : (msg.parentId ?? null);
+        }
+        return removed;
+    }
+
+    // Turn a chat saved as a flat list into a tree. Answers kept as versions of
+    // one message become siblings. Returns false for chats that already are trees.
+    static migrate(chat) {
+        if (chat.activeLeafId !== undefined) return false;
+
+        const messages = [];
+        let parentId = null;
+        (chat.messages || []).forEach(msg => {
+            if (!msg.id) msg.id = this.createId();
+            msg.parentId = parentId;
+
+            if (msg.versions?.length > 1) {
+                const shown = msg.versionIndex ?? msg.versions.length - 1;
+                msg.versions.forEach((version, index) => {
+                    messages.push(index === shown ? msg : { ...version, id: this.createId(), parentId, sender: msg.sender });
+                });
+            } else {
+                messages.push(msg);
+            }
+            delete msg.versions;
+            delete msg.versionIndex;
+            parentId = msg.id;
+        });
+
+        chat.messages = messages;
+        chat.activeLeafId = parentId;
+        return true;
+    }
+}
+
+// Export the class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatTree;
+} else {
+    window.ChatTree = ChatTree;
+}
@@ -1,39 +1,55 @@
-// AI Service Configuration
-// IMPORTANT: Never commit this file with real API keys to version control
-// Add this file to .gitignore
-
-const AI_CONFIG = {
-    // OpenAI Configuration
-    openai: {
-        apiKey: '', // Add your OpenAI API key here
-        endpoint: 'https://api.openai.com/v1/chat/completions',
-        model: 'gpt-3.5-turbo',
-        maxTokens: 1000,
-        temperature: 0.7
-    },
-
-    // Mistral AI Configuration
-    mistral: {
-        apiKey: '', // Add your Mistral API key here
-        endpoint: 'https://api.mistral.ai/v1/chat/completions',
-        model: 'mistral-small-latest',
-        maxTokens: 1000,
-        temperature: 0.7
-    },
-
-    // Google Gemini Configuration
-    gemini: {
-        apiKey: '', // Add your Gemini API key here
-        endpoint: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent',
-        model: 'gemini-2.0-flash',
-        maxTokens: 1000,
-        temperature: 0.7
-    }
-};
-
-// Export configuration
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = AI_CONFIG;
-} else {
-    window.AI_CONFIG = AI_CONFIG;
-}
+// AI Service Configuration
+// Endpoints, default models and generation settings per provider.
+// API keys do not belong here: enter them in Settings, where they are stored
+// encrypted by the main process. A key still found here is moved there on
+// startup (remove it from this file afterwards).
+
+const AI_CONFIG = {
+    // OpenAI Configuration
+    openai: {
+        endpoint: 'https://api.openai.com/v1/chat/completions',
+        model: 'gpt-3.5-turbo',
+        maxTokens: 1000,
+        temperature: 0.7
+    },
+
+    // Mistral AI Configuration
+    mistral: {
+        endpoint: 'https://api.mistral.ai/v1/chat/completions',
+        model: 'mistral-small-latest',
+        maxTokens: 1000,
+        temperature: 0.7
+    },
+
+    // Google Gemini Configuration
+    gemini: {
+        baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        model: 'gemini-2.0-flash',
+        maxTokens: 1000,
+        temperature: 0.7
+    },
+
+    // Anthropic Configuration
+    anthropic: {
+        endpoint: 'https://api.anthropic.com/v1/messages',
+        model: 'claude-3-5-haiku-latest',
+        maxTokens: 1000,
+        temperature: 0.7
+    },
+
+    // Ollama Configuration (local server, no API key)
+    ollama: {
+        baseUrl: 'http://localhost:11434',
+        model: 'llama3.2',
+        contextWindow: 4096, // Ollama's default num_ctx; raise it if the server uses more
+        maxTokens: 1000,
+        temperature: 0.7
+    }
+};
+
+// Export configuration
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AI_CONFIG;
+} else {
+    window.AI_CONFIG = AI_CONFIG;
+}
@@ -1,273 +1,471 @@
-// File Upload Handler
-// Manages file uploads, processing, and integration with AI providers
-
-class FileHandler {
-    constructor() {
-        this.supportedImageTypes = [
-            'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/bmp'
-        ];
-        this.supportedDocumentTypes = [
-            'text/plain', 'text/csv', 'text/markdown', 'text/html',
-            'application/pdf', 'application/json',
-            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-            'application/vnd.ms-excel', 'application/msword'
-        ];
-        this.maxFileSize = 10 * 1024 * 1024; // 10MB limit
-        this.maxImageSize = 5 * 1024 * 1024; // 5MB limit for images
-    }
-
-    // Check if file type is supported
-    isSupported(file) {
-        return this.supportedImageTypes.includes(file.type) ||
-               this.supportedDocumentTypes.includes(file.type);
-    }
-
-    // Check if file is an image
-    isImage(file) {
-        return this.supportedImageTypes.includes(file.type);
-    }
-
-    // Check if file is a document
-    isDocument(file) {
-        return this.supportedDocumentTypes.includes(file.type);
-    }
-
-    // Validate file before processing
-    validateFile(file) {
-        const errors = [];
-
-        if (!file) {
-            errors.push('No file selected');
-            return { valid: false, errors };
-        }
-
-        if (!this.isSupported(file)) {
-            errors.push(`File type ${file.type} is not supported`);
-        }
-
-        const maxSize = this.isImage(file) ? this.maxImageSize : this.maxFileSize;
-        if (file.size > maxSize) {
-            const maxSizeMB = Math.round(maxSize / (1024 * 1024));
-            errors.push(`File size exceeds ${maxSizeMB}MB limit`);
-        }
-
-        return {
-            valid: errors.length === 0,
-            errors: errors
-        };
-    }
-
-    // Convert file to base64 for API transmission
-    async fileToBase64(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => {
-                const base64 = reader.result.split(',')[1]; // Remove data URL prefix
-                resolve(base64);
-            };
-            reader.onerror = reject;
-            reader.readAsDataURL(file);
-        });
-    }
-
-    // Extract text content from various file types
-    async extractTextContent(file) {
-        switch (file.type) {
-            case 'text/plain':
-            case 'text/csv':
-            case 'text/markdown':
-            case 'text/html':
-                return await this.readTextFile(file);
-
-            case 'application/json':
-                const jsonContent = await this.readTextFile(file);
-                try {
-                    const parsed = JSON.parse(jsonContent);
-                    return JSON.stringify(parsed, null, 2);
-                } catch (e) {
-                    return jsonContent;
-                }
-
-            default:
-                return `[${file.type} file: ${file.name}]`;
-        }
-    }
-
-    // Read text file content
-    async readTextFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => resolve(reader.result);
-            reader.onerror = reject;
-            reader.readAsText(file);
-        });
-    }
-
-    // Process image for vision-capable AI models
-    async processImageForAI(file) {
-        const validation = this.validateFile(file);
-        if (!validation.valid) {
-            throw new Error(validation.errors.join(', '));
-        }
-
-        if (!this.isImage(file)) {
-            throw new Error('File is not an image');
-        }
-
-        const base64 = await this.fileToBase64(file);
-
-        return {
-            type: 'image',
-            mimeType: file.type,
-            base64: base64,
-            filename: file.name,
-            size: file.size
-        };
-    }
-
-    // Process document for text extraction
-    async processDocumentForAI(file) {
-        const validation = this.validateFile(file);
-        if (!validation.valid) {
-            throw new Error(validation.errors.join(', '));
-        }
-
-        let content;
-        if (this.isDocument(file)) {
-            content = await this.extractTextContent(file);
-        } else {
-            throw new Error('File is not a supported document type');
-        }
-
-        return {
-            type: 'document',
-            mimeType: file.type,
-            content: content,
-            filename: file.name,
-            size: file.size
-        };
-    }
-
-    // Create file preview element for UI
-    createFilePreview(file, processedData = null) {
-        const preview = document.createElement('div');
-        preview.className = 'file-preview';
-        preview.dataset.filename = file.name;
-
-        const fileInfo = document.createElement('div');
-        fileInfo.className = 'file-info';
-
-        const fileName = document.createElement('span');
-        fileName.className = 'file-name';
-        fileName.textContent = file.name;
-
-        const fileSize = document.createElement('span');
-        fileSize.className = 'file-size';
-        fileSize.textContent = this.formatFileSize(file.size);
-
-        const removeBtn = document.createElement('button');
-        removeBtn.className = 'file-remove-btn';
-        removeBtn.innerHTML = '×';
-        removeBtn.title = 'Remove file';
-        removeBtn.addEventListener('click', () => {
-            preview.remove();
-        });
-
-        fileInfo.appendChild(fileName);
-        fileInfo.appendChild(fileSize);
-        preview.appendChild(fileInfo);
-        preview.appendChild(removeBtn);
-
-        // Add image thumbnail if it's an image
-        if (this.isImage(file)) {
-            const thumbnail = document.createElement('div');
-            thumbnail.className = 'image-thumbnail';
-
-            const img = document.createElement('img');
-            img.src = URL.createObjectURL(file);
-            img.onload = () => URL.revokeObjectURL(img.src); // Clean up
-
-            thumbnail.appendChild(img);
-            preview.appendChild(thumbnail);
-        }
-
-        return preview;
-    }
-
-    // Format file size for display
-    formatFileSize(bytes) {
-        if (bytes === 0) return '0 Bytes';
-
-        const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-    }
-
-    // Get supported file types as a string for input accept attribute
-    getSupportedTypesString() {
-        return [...this.supportedImageTypes, ...this.supportedDocumentTypes].join(',');
-    }
-
-    // Create drag and drop zone
-    createDropZone(targetElement, onFilesSelected) {
-        let dragCounter = 0;
-
-        const handleDrag = (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-        };
-
-        const handleDragEnter = (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            dragCounter++;
-            targetElement.classList.add('drag-over');
-        };
-
-        const handleDragLeave = (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            dragCounter--;
-            if (dragCounter === 0) {
-                targetElement.classList.remove('drag-over');
-            }
-        };
-
-        const handleDrop = (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            dragCounter = 0;
-            targetElement.classList.remove('drag-over');
-
-            const files = Array.from(e.dataTransfer.files);
-            if (files.length > 0 && onFilesSelected) {
-                onFilesSelected(files);
-            }
-        };
-
-        // Add event listeners
-        targetElement.addEventListener('dragenter', handleDragEnter);
-        targetElement.addEventListener('dragover', handleDrag);
-        targetElement.addEventListener('dragleave', handleDragLeave);
-        targetElement.addEventListener('drop', handleDrop);
-
-        // Return cleanup function
-        return () => {
-            targetElement.removeEventListener('dragenter', handleDragEnter);
-            targetElement.removeEventListener('dragover', handleDrag);
-            targetElement.removeEventListener('dragleave', handleDragLeave);
-            targetElement.removeEventListener('drop', handleDrop);
-            targetElement.classList.remove('drag-over');
-        };
-    }
-}
-
-// Export the class
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = FileHandler;
-} else {
-    window.FileHandler = FileHandler;
-}
+// File Upload Handler
+// Manages file uploads, processing, and integration with AI providers
+
+class FileHandler {
+    constructor() {
+        this.supportedImageTypes = [
+            'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/bmp'
+        ];
+        this.supportedDocumentTypes = [
+            'text/plain', 'text/csv', 'text/markdown', 'text/html',
+            'application/pdf', 'application/json',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            'application/vnd.ms-excel', 'application/msword'
+        ];
+        this.maxFileSize = 10 * 1024 * 1024; // 10MB limit
+        this.maxImageSize = 5 * 1024 * 1024; // 5MB limit for images
+        this.maxExtractedChars = 60000; // ~15k tokens of document text per file
+        this.maxSpreadsheetSize = 2 * 1024 * 1024; // 2MB limit for SheetJS, see extractSpreadsheetText
+
+        // pdf.js parses in a worker shipped with the app (works offline)
+        if (typeof pdfjsLib !== 'undefined') {
+            pdfjsLib.GlobalWorkerOptions.workerSrc = 'node_modules/pdfjs-dist/build/pdf.worker.min.js';
+        }
+    }
+
+    // Check if file type is supported
+    isSupported(file) {
+        return this.supportedImageTypes.includes(file.type) ||
+               this.supportedDocumentTypes.includes(file.type);
+    }
+
+    // Check if file is an image
+    isImage(file) {
+        return this.supportedImageTypes.includes(file.type);
+    }
+
+    // Check if file is a document
+    isDocument(file) {
+        return this.supportedDocumentTypes.includes(file.type);
+    }
+
+    // Validate file before processing
+    validateFile(file) {
+        const errors = [];
+
+        if (!file) {
+            errors.push('No file selected');
+            return { valid: false, errors };
+        }
+
+        if (!this.isSupported(file)) {
+            errors.push(`File type ${file.type} is not supported`);
+        }
+
+        const maxSize = this.isImage(file) ? this.maxImageSize : this.maxFileSize;
+        if (file.size > maxSize) {
+            const maxSizeMB = Math.round(maxSize / (1024 * 1024));
+            errors.push(`File size exceeds ${maxSizeMB}MB limit`);
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    // Convert file to base64 for API transmission
+    async fileToBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => {
+                const base64 = reader.result.split(',')[1]; // Remove data URL prefix
+                resolve(base64);
+            };
+            reader.onerror = reject;
+            reader.readAsDataURL(file);
+        });
+    }
+
+    // Extract text content from various file types
+    async extractTextContent(file) {
+        switch (file.type) {
+            case 'text/plain':
+            case 'text/markdown':
+            case 'text/html':
+                return this.truncateSections([{ text: await this.readTextFile(file) }], 'section');
+
+            case 'application/json': {
+                let jsonContent = await this.readTextFile(file);
+                try {
+                    jsonContent = JSON.stringify(JSON.parse(jsonContent), null, 2);
+                } catch (e) {
+                    // Not valid JSON; send it as-is
+                }
+                return this.truncateSections([{ text: jsonContent }], 'section');
+            }
+
+            case 'application/pdf':
+                return await this.extractPdfText(file);
+
+            case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+                return await this.extractDocxText(file);
+
+            case 'text/csv':
+            case 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet':
+            case 'application/vnd.ms-excel':
+                return await this.extractSpreadsheetText(file);
+
+            case 'application/msword':
+                return `[${file.name}: legacy .doc files cannot be read. Save it as .docx and attach it again.]`;
+
+            default:
+                return `[${file.type} file: ${file.name}]`;
+        }
+    }
+
+    // PDF: plain text of every page, one section per page
+    async extractPdfText(file) {
+        if (typeof pdfjsLib === 'undefined') {
+            throw new Error('PDF support is not available');
+        }
+
+        // isEvalSupported: false keeps pdf.js within the page's Content-Security-Policy
+        const pdf = await pdfjsLib.getDocument({
+            data: await this.readArrayBuffer(file),
+            isEvalSupported: false
+        }).promise;
+        const pages = [];
+
+        try {
+            for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+                const page = await pdf.getPage(pageNumber);
+                const textContent = await page.getTextContent();
+
+                // Items carry their own end-of-line flag; join them back into lines
+                const text = textContent.items
+                    .map(item => item.str + (item.hasEOL ? '\n' : ''))
+                    .join('')
+                    .replace(/[ \t]+\n/g, '\n')
+                    .trim();
+
+                pages.push({ title: `Page ${pageNumber}`, text: text || '(no extractable text)' });
+            }
+        } finally {
+            pdf.destroy();
+        }
+
+        if (pages.every(page => page.text === '(no extractable text)')) {
+            return `[${file.name}: this PDF has no text layer (it is probably scanned), so nothing could be extracted.]`;
+        }
+
+        return this.truncateSections(pages, 'page');
+    }
+
+    // DOCX: paragraphs, headings, lists and tables in document order
+    async extractDocxText(file) {
+        if (typeof mammoth === 'undefined') {
+            throw new Error('Word document support is not available');
+        }
+
+        const { value: html } = await mammoth.convertToHtml({ arrayBuffer: await this.readArrayBuffer(file) });
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const blocks = [];
+
+        Array.from(doc.body.children).forEach(el => {
+            const tag = el.tagName.toLowerCase();
+            const text = el.textContent.trim();
+
+            if (tag === 'table') {
+                const rows = Array.from(el.querySelectorAll('tr')).map(tr =>
+                    Array.from(tr.children).map(cell => cell.textContent.trim()));
+                if (rows.length > 0) blocks.push({ text: this.rowsToMarkdownTable(rows) });
+            } else if (tag === 'ul' || tag === 'ol') {
+                const items = Array.from(el.querySelectorAll('li')).map((li, i) =>
+                    `${tag === 'ol' ? `${i + 1}.` : '-'} ${li.textContent.trim()}`);
+                blocks.push({ text: items.join('\n') });
+            } else if (/^h[1-6]$/.test(tag)) {
+                if (text) blocks.push({ text: `${'#'.repeat(Number(tag[1]))} ${text}` });
+            } else if (text) {
+                blocks.push({ text });
+            }
+        });
+
+        return this.truncateSections(blocks, 'paragraph');
+    }
+
+    // XLSX/XLS/CSV: every sheet as a markdown table.
+    // The xlsx package on npm stopped at 0.18.5, which has known prototype
+    // pollution and ReDoS issues (CVE-2023-30533, CVE-2024-22363). Until it can
+    // be upgraded, SheetJS only ever gets raw bytes ({ type: 'array' }) of files
+    // up to maxSpreadsheetSize; a crafted file below that size is still parsed.
+    async extractSpreadsheetText(file) {
+        const isCsv = file.type === 'text/csv';
+        const canParse = typeof XLSX !== 'undefined' && file.size <= this.maxSpreadsheetSize;
+
+        if (!canParse) {
+            // A CSV can still be sent as plain text
+            if (isCsv) return this.truncateSections([{ text: await this.readTextFile(file) }], 'section');
+            if (typeof XLSX === 'undefined') throw new Error('Spreadsheet support is not available');
+            const maxSizeMB = Math.round(this.maxSpreadsheetSize / (1024 * 1024));
+            throw new Error(`Spreadsheets larger than ${maxSizeMB}MB cannot be read. Save the sheets you need as CSV and attach that instead.`);
+        }
+
+        // CSV bytes are decoded as UTF-8, like readTextFile does
+        const workbook = XLSX.read(new Uint8Array(await this.readArrayBuffer(file)), {
+            type: 'array',
+            ...(isCsv && { codepage: 65001 })
+        });
+        const sheets = workbook.SheetNames.map(name => {
+            const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, blankrows: false, defval: '' });
+            return {
+                title: `Sheet: ${name}`,
+                text: rows.length > 0 ? this.rowsToMarkdownTable(rows) : '(empty sheet)'
+            };
+        });
+
+        // A CSV is a single unnamed sheet; skip the heading
+        if (isCsv && sheets.length === 1) delete sheets[0].title;
+
+        return this.truncateSections(sheets, 'sheet');
+    }
+
+    // Turn a 2D array into a markdown table, using the first row as header
+    rowsToMarkdownTable(rows) {
+        const width = Math.max(...rows.map(row => row.length));
+        const cell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ').trim();
+        const line = (row) => `| ${Array.from({ length: width }, (_, i) => cell(row[i])).join(' | ')} |`;
+
+        return [
+            line(rows[0]),
+            `| ${Array(width).fill('---').join(' | ')} |`,
+            ...rows.slice(1).map(line)
+        ].join('\n');
+    }
+
+    // Join extracted sections, keeping whole sections while they fit in
+    // maxExtractedChars and cutting the first one that doesn't at a line break.
+    // A note at the end tells the model what was left out.
+    truncateSections(sections, unit) {
+        const render = (section, text = section.text) =>
+            section.title ? `## ${section.title}\n${text}` : text;
+        const full = sections.map(section => render(section)).join('\n\n');
+        if (full.length <= this.maxExtractedChars) return full;
+
+        const parts = [];
+        let used = 0;
+        let complete = 0;
+        let partialTitle = null;
+
+        for (const section of sections) {
+            const rendered = render(section);
+            const remaining = this.maxExtractedChars - used;
+            if (rendered.length <= remaining) {
+                parts.push(rendered);
+                used += rendered.length + 2;
+                complete++;
+                continue;
+            }
+
+            // Cut inside this section at the last line break that fits
+            const overhead = render(section, '').length;
+            let cut = section.text.slice(0, Math.max(0, remaining - overhead));
+            const lastBreak = cut.lastIndexOf('\n');
+            if (lastBreak > 0) cut = cut.slice(0, lastBreak);
+            if (cut.trim()) {
+                parts.push(render(section, cut));
+                used += overhead + cut.length;
+                partialTitle = section.title || `${unit} ${complete + 1}`;
+            }
+            break;
+        }
+
+        const omittedSections = sections.length - complete - (partialTitle ? 1 : 0);
+        const details = [];
+        if (partialTitle) details.push(`the rest of ${partialTitle}`);
+        if (omittedSections > 0) details.push(`${omittedSections} more ${unit}${omittedSections === 1 ? '' : 's'}`);
+
+        parts.push(`[Truncated: the file is too large to send in full. Included ${used.toLocaleString()} of ${full.length.toLocaleString()} characters; omitted ${details.join(' and ')}.]`);
+        return parts.join('\n\n');
+    }
+
+    // Read text file content
+    async readTextFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = reject;
+            reader.readAsText(file);
+        });
+    }
+
+    // Read binary file content for the document parsers
+    async readArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = reject;
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    // Process image for vision-capable AI models
+    async processImageForAI(file) {
+        const validation = this.validateFile(file);
+        if (!validation.valid) {
+            throw new Error(validation.errors.join(', '));
+        }
+
+        if (!this.isImage(file)) {
+            throw new Error('File is not an image');
+        }
+
+        const base64 = await this.fileToBase64(file);
+
+        return {
+            type: 'image',
+            mimeType: file.type,
+            base64: base64,
+            filename: file.name,
+            size: file.size
+        };
+    }
+
+    // Process document for text extraction
+    async processDocumentForAI(file) {
+        const validation = this.validateFile(file);
+        if (!validation.valid) {
+            throw new Error(validation.errors.join(', '));
+        }
+
+        let content;
+        if (this.isDocument(file)) {
+            content = await this.extractTextContent(file);
+        } else {
+            throw new Error('File is not a supported document type');
+        }
+
+        return {
+            type: 'document',
+            mimeType: file.type,
+            content: content,
+            filename: file.name,
+            size: file.size
+        };
+    }
+
+    // Create file preview element for UI
+    // onRemove is called after the preview is removed with its × button
+    createFilePreview(file, processedData = null, onRemove = null) {
+        const preview = document.createElement('div');
+        preview.className = 'file-preview';
+        preview.dataset.filename = file.name;
+
+        const fileInfo = document.createElement('div');
+        fileInfo.className = 'file-info';
+
+        const fileName = document.createElement('span');
+        fileName.className = 'file-name';
+        fileName.textContent = file.name;
+
+        const fileSize = document.createElement('span');
+        fileSize.className = 'file-size';
+        fileSize.textContent = this.formatFileSize(file.size);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'file-remove-btn';
+        removeBtn.innerHTML = '×';
+        removeBtn.title = 'Remove file';
+        removeBtn.addEventListener('click', () => {
+            preview.remove();
+            if (onRemove) onRemove(file, processedData);
+        });
+
+        fileInfo.appendChild(fileName);
+        fileInfo.appendChild(fileSize);
+        preview.appendChild(fileInfo);
+        preview.appendChild(removeBtn);
+
+        // Add image thumbnail if it's an image
+        if (this.isImage(file)) {
+            const thumbnail = document.createElement('div');
+            thumbnail.className = 'image-thumbnail';
+
+            const img = document.createElement('img');
+            img.src = URL.createObjectURL(file);
+            img.onload = () => URL.revokeObjectURL(img.src); // Clean up
+
+            thumbnail.appendChild(img);
+            preview.appendChild(thumbnail);
+        }
+
+        return preview;
+    }
+
+    // Format file size for display
+    formatFileSize(bytes) {
+        if (bytes === 0) return '0 Bytes';
+
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    }
+
+    // Get supported file types as a string for input accept attribute
+    getSupportedTypesString() {
+        return [...this.supportedImageTypes, ...this.supportedDocumentTypes].join(',');
+    }
+
+    // Create drag and drop zone
+    createDropZone(targetElement, onFilesSelected) {
+        let dragCounter = 0;
+
+        const handleDrag = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+        };
+
+        const handleDragEnter = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            dragCounter++;
+            targetElement.classList.add('drag-over');
+        };
+
+        const handleDragLeave = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            dragCounter--;
+            if (dragCounter === 0) {
+                targetElement.classList.remove('drag-over');
+            }
+        };
+
+        const handleDrop = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            dragCounter = 0;
+            targetElement.classList.remove('drag-over');
+
+            const files = Array.from(e.dataTransfer.files);
+            if (files.length > 0 && onFilesSelected) {
+                onFilesSelected(files);
+            }
+        };
+
+        // Add event listeners
+        targetElement.addEventListener('dragenter', handleDragEnter);
+        targetElement.addEventListener('dragover', handleDrag);
+        targetElement.addEventListener('dragleave', handleDragLeave);
+        targetElement.addEventListener('drop', handleDrop);
+
+        // Return cleanup function
+        return () => {
+            targetElement.removeEventListener('dragenter', handleDragEnter);
+            targetElement.removeEventListener('dragover', handleDrag);
+            targetElement.removeEventListener('dragleave', handleDragLeave);
+            targetElement.removeEventListener('drop', handleDrop);
+            targetElement.classList.remove('drag-over');
+        };
+    }
+}
+
+// Export the class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FileHandler;
+} else {
+    window.FileHandler = FileHandler;
+}
@@ -0,0 +1,99 @@
+// HTTP Transport
+// How provider adapters reach the network. In the desktop app a request is
+// handed to the main process over IPC (provider-proxy.js), which adds the API
+// key and streams the body back as events; those are turned into a regular
+// Response so adapters read it as if they had called fetch() themselves.
+// Opened in a plain browser there is no main process and fetch() is used
+// directly, with the key from the in-memory KeyStore.
+
+class HttpTransport {
+    constructor(keyStore, bridge = (typeof window !== 'undefined' && window.electronAPI) ? window.electronAPI.http : null) {
+        this.keyStore = keyStore;
+        this.bridge = bridge;
+        this.nextRequestId = 1;
+    }
+
+    // fetch() for a provider request. auth ({ provider, header, prefix }) says
+    // which key to attach and how; null sends the request without one.
+    async fetch(url, init = {}, auth = null) {
+        return this.bridge ? this.fetchThroughMain(url, init, auth) : this.fetchDirect(url, init, auth);
+    }
+
+    async fetchDirect(url, init, auth) {
+        const headers = { ...(init.headers || {}) };
+        if (auth) {
+            const key = await this.keyStore.get(auth.provider);
+            if (key) headers[auth.header] = `${auth.prefix || ''}${key}`;
+        }
+        return fetch(url, { ...init, headers });
+    }
+
+    async fetchThroughMain(url, init, auth) {
+        const signal = init.signal;
+        const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+        if (signal?.aborted) throw abortError();
+
+        const id = `${Date.now().toString(36)}-${this.nextRequestId++}`;
+        let streamController;
+        const body = new ReadableStream({
+            start: (controller) => { streamController = controller; },
+            cancel: () => this.bridge.abort(id)
+        });
+
+        // Subscribe before sending so no chunk can arrive unheard
+        let unsubscribe = null;
+        const cleanup = () => {
+            if (unsubscribe) unsubscribe();
+            unsubscribe = null;
+            if (signal) signal.removeEventListener('abort', onAbort);
+        };
+        const onAbort = () => {
+            this.bridge.abort(id);
+            try { streamController.error(abortError()); } catch (e) { /* already closed */ }
+            cleanup();
+        };
+        unsubscribe = this.bridge.subscribe(id, (type, payload) => {
+            if (type === 'chunk') {
+                streamController.enqueue(new Uint8Array(payload));
+            } else if (type === 'end') {
+                streamController.close();
+                cleanup();
+            } else if (type === 'error') {
+                streamController.error(new Error(payload));
+                cleanup();
+            }
+        });
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        const head = await this.bridge.request(id, {
+            url,
+            method: init.method || 'GET',
+            headers: init.headers || {},
+            body: init.body,
+            auth
+        });
+
+        if (head.error) {
+            cleanup();
+            if (signal?.aborted || head.aborted) throw abortError();
+            // Network failures look like fetch()'s own TypeError
+            throw head.network ? new TypeError(head.error) : new Error(head.error);
+        }
+
+        // These statuses may not carry a body
+        const nullBody = [101, 204, 205, 304].includes(head.status);
+        if (nullBody) cleanup();
+        return new Response(nullBody ? null : body, {
+            status: head.status,
+            statusText: head.statusText,
+            headers: head.headers
+        });
+    }
+}
+
+// Export the class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HttpTransport;
+} else {
+    window.HttpTransport = HttpTransport;
+}
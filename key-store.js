@@ -0,0 +1,74 @@
+// Key Store
+// Renderer side of API key storage. Keys are kept encrypted by the main process
+// (secure-keys.js, through preload.js), which also adds them to provider
+// requests; the renderer only knows which providers have a key plus a masked
+// preview. Opened in a plain browser there is no main process, so keys entered
+// in Settings are kept in memory until the page is reloaded.
+
+class KeyStore {
+    constructor(bridge = (typeof window !== 'undefined' && window.electronAPI) ? window.electronAPI.keys : null) {
+        this.bridge = bridge;
+        this.status = {};             // provider id -> masked key, for providers that have one
+        this.memoryKeys = new Map();  // browser mode only
+    }
+
+    // Whether keys survive a restart
+    isPersistent() {
+        return !!this.bridge;
+    }
+
+    async load() {
+        this.status = this.bridge ? await this.bridge.status() : this.memoryStatus();
+        return this.status;
+    }
+
+    has(provider) {
+        return !!this.status[provider];
+    }
+
+    masked(provider) {
+        return this.status[provider] || '';
+    }
+
+    // The key itself, in browser mode only (see HttpTransport.fetchDirect);
+    // in the desktop app it never reaches the page
+    async get(provider) {
+        return this.memoryKeys.get(provider) || '';
+    }
+
+    // origin: the only origin a custom provider's key may be sent to
+    async set(provider, key, origin = null) {
+        if (this.bridge) {
+            this.status = await this.bridge.set(provider, key, origin);
+        } else {
+            this.memoryKeys.set(provider, key.trim());
+            this.status = this.memoryStatus();
+        }
+        return this.status;
+    }
+
+    async remove(provider) {
+        if (this.bridge) {
+            this.status = await this.bridge.remove(provider);
+        } else {
+            this.memoryKeys.delete(provider);
+            this.status = this.memoryStatus();
+        }
+        return this.status;
+    }
+
+    memoryStatus() {
+        const status = {};
+        this.memoryKeys.forEach((key, provider) => {
+            status[provider] = key.length <= 12 ? '••••' : `${key.slice(0, 4)}…${key.slice(-4)}`;
+        });
+        return status;
+    }
+}
+
+// Export the class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeyStore;
+} else {
+    window.KeyStore = KeyStore;
+}
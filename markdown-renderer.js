@@ -0,0 +1,453 @@
+// Markdown Renderer
+// Turns AI answers into HTML that is safe to insert into the page: marked.js
+// parses the markdown, DOMPurify keeps only the tags and attributes below.
+// Links open in the system browser after a confirmation, and remote images
+// are replaced by a placeholder until the user chooses to load them. Code
+// blocks are highlighted and get a toolbar (language, wrap, copy, save).
+// Math ($…$, $$…$$, \(…\), \[…\]) and mermaid fences pass the sanitizer as
+// plain text and are typeset afterwards by KaTeX and mermaid.
+
+class MarkdownRenderer {
+    constructor() {
+        // Allowed tags and the attributes each may keep
+        this.allowedTags = {
+            'p': [], 'br': [], 'hr': [],
+            'h1': [], 'h2': [], 'h3': [], 'h4': [], 'h5': [], 'h6': [],
+            'ul': [], 'ol': ['start'], 'li': [],
+            'blockquote': [],
+            'pre': [], 'code': ['class'],
+            'strong': [], 'b': [], 'em': [], 'i': [], 'del': [], 's': [],
+            'a': ['href', 'title'],
+            'img': ['src', 'alt', 'title'],
+            'table': [], 'thead': [], 'tbody': [], 'tr': [], 'th': ['align'], 'td': ['align'],
+            'span': ['class']
+        };
+        // Classes each tag may keep: the code language marker and math markers
+        this.allowedClasses = {
+            'code': /^language-[\w+#-]+$/,
+            'span': /^math-(inline|display)$/
+        };
+        this.linkProtocols = ['http:', 'https:', 'mailto:'];
+        this.imageProtocols = ['https:']; // what img-src in the page's CSP allows
+        // File extensions for "Save as…", by language name or alias
+        this.codeExtensions = {
+            javascript: 'js', js: 'js', jsx: 'jsx', typescript: 'ts', ts: 'ts', tsx: 'tsx',
+            python: 'py', py: 'py', ruby: 'rb', rb: 'rb', go: 'go', rust: 'rs', rs: 'rs',
+            java: 'java', kotlin: 'kt', swift: 'swift', c: 'c', cpp: 'cpp', 'c++': 'cpp',
+            csharp: 'cs', cs: 'cs', php: 'php', bash: 'sh', sh: 'sh', shell: 'sh', zsh: 'sh',
+            powershell: 'ps1', ps1: 'ps1', sql: 'sql', html: 'html', xml: 'xml', css: 'css',
+            scss: 'scss', json: 'json', yaml: 'yml', yml: 'yml', toml: 'toml', ini: 'ini',
+            markdown: 'md', md: 'md', dockerfile: 'Dockerfile', makefile: 'Makefile'
+        };
+
+        if (typeof marked !== 'undefined') {
+            marked.setOptions({
+                breaks: true, // Allow line breaks
+                gfm: true     // GitHub Flavored Markdown
+            });
+            marked.use({ extensions: [this.mathExtension()] });
+        }
+
+        // Diagrams render to SVG in a sandboxed way (no scripts, no click handlers)
+        if (typeof mermaid !== 'undefined') {
+            mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', theme: 'dark' });
+        }
+        this.diagramCache = new Map(); // mermaid source -> Promise of SVG markup
+        this.nextDiagramId = 1;
+
+        // A private DOMPurify instance, so these hooks apply to chat content only
+        this.purifier = typeof DOMPurify !== 'undefined' ? DOMPurify(window) : null;
+        if (this.purifier) {
+            this.purifier.addHook('uponSanitizeAttribute', (node, data) => this.checkAttribute(node, data));
+        }
+
+        if (!this.isAvailable()) {
+            console.warn('marked.js or DOMPurify is not loaded; messages are shown as plain text');
+        }
+    }
+
+    isAvailable() {
+        return typeof marked !== 'undefined' && !!this.purifier;
+    }
+
+    // Markdown to sanitized HTML
+    render(content) {
+        if (!this.isAvailable()) return this.renderPlainText(content);
+
+        const fragment = this.sanitize(marked.parse(content));
+        this.blockRemoteImages(fragment);
+
+        const container = document.createElement('div');
+        container.appendChild(fragment);
+        return container.innerHTML;
+    }
+
+    // Typeset what render() only marked up; run after the rendered HTML has
+    // been inserted into container. Diagrams wait until the message is complete.
+    enhance(container, { streaming = false } = {}) {
+        this.enhanceCodeBlocks(container);
+        this.renderMath(container);
+        if (!streaming) this.renderDiagrams(container);
+    }
+
+    renderPlainText(content) {
+        const paragraph = document.createElement('p');
+        paragraph.textContent = content;
+        return paragraph.outerHTML.replace(/\n/g, '<br>');
+    }
+
+    // HTML string to a DocumentFragment holding only allowed markup. Disallowed
+    // elements are dropped (script and style together with their content).
+    sanitize(html) {
+        return this.purifier.sanitize(html, {
+            ALLOWED_TAGS: Object.keys(this.allowedTags),
+            ALLOWED_ATTR: [...new Set(Object.values(this.allowedTags).flat())],
+            ALLOW_DATA_ATTR: false,
+            RETURN_DOM_FRAGMENT: true
+        });
+    }
+
+    // DOMPurify hook: per-tag attributes, URL protocols and code language classes
+    checkAttribute(node, data) {
+        const tagName = node.nodeName.toLowerCase();
+        const name = data.attrName;
+        const value = data.attrValue;
+
+        if (!(this.allowedTags[tagName] || []).includes(name)) {
+            data.keepAttr = false;
+        } else if (name === 'href') {
+            data.keepAttr = value.startsWith('#') || this.hasProtocol(value, this.linkProtocols);
+        } else if (name === 'src') {
+            // http: images cannot load; blockRemoteImages turns them into links
+            data.keepAttr = this.hasProtocol(value, [...this.imageProtocols, 'http:']);
+        } else if (name === 'class') {
+            const pattern = this.allowedClasses[tagName];
+            data.attrValue = value.split(/\s+/).filter(token => pattern.test(token)).join(' ');
+            data.keepAttr = !!data.attrValue;
+        }
+    }
+
+    // marked.js extension that keeps TeX out of markdown parsing. It emits the
+    // source as text in a math-inline/math-display span for renderMath().
+    mathExtension() {
+        const patterns = [
+            { regex: /^\$\$([\s\S]+?)\$\$/, display: true },
+            { regex: /^\\\[([\s\S]+?)\\\]/, display: true },
+            { regex: /^\\\(([\s\S]+?)\\\)/, display: false },
+            // $…$ must hug its content and not be followed by a digit, so "$5 and $10" stays text
+            { regex: /^\$(?![\s$])((?:\\.|[^\\$\n])+?)(?<!\s)\$(?!\d)/, display: false }
+        ];
+
+        return {
+            name: 'math',
+            level: 'inline',
+            start: (src) => src.match(/\$|\\[[(]/)?.index,
+            tokenizer: (src) => {
+                for (const { regex, display } of patterns) {
+                    const match = regex.exec(src);
+                    if (match) return { type: 'math', raw: match[0], text: match[1].trim(), display };
+                }
+                return undefined;
+            },
+            renderer: (token) => {
+                const span = document.createElement('span');
+                span.className = token.display ? 'math-display' : 'math-inline';
+                span.textContent = token.text;
+                return span.outerHTML;
+            }
+        };
+    }
+
+    // Typeset math spans with KaTeX (trust stays off, so no \href, \url or HTML
+    // commands). A click on a formula toggles its TeX source.
+    renderMath(container) {
+        if (typeof katex === 'undefined') return;
+        container.querySelectorAll('.math-inline, .math-display').forEach(element => {
+            element.dataset.source = element.textContent;
+            element.title = 'Click to show the source';
+            this.typesetMath(element);
+        });
+    }
+
+    typesetMath(element) {
+        try {
+            katex.render(element.dataset.source, element, {
+                displayMode: element.classList.contains('math-display'),
+                throwOnError: false,
+                trust: false
+            });
+        } catch (error) {
+            console.warn('KaTeX error:', error);
+            element.textContent = element.dataset.source;
+        }
+    }
+
+    toggleMathSource(element) {
+        if (element.classList.toggle('show-source')) {
+            const delimiter = element.classList.contains('math-display') ? '$$' : '$';
+            element.textContent = `${delimiter}${element.dataset.source}${delimiter}`;
+        } else {
+            this.typesetMath(element);
+        }
+    }
+
+    // Draw mermaid code blocks (already given a toolbar by enhanceCodeBlocks)
+    // as SVG, with a Source button to switch back to the code
+    renderDiagrams(container) {
+        if (typeof mermaid === 'undefined') return;
+        container.querySelectorAll('.code-block[data-language="mermaid"]').forEach(block => {
+            const source = block.querySelector('pre code').textContent;
+            const view = document.createElement('div');
+            view.className = 'diagram-view';
+            block.querySelector('pre').before(view);
+            block.classList.add('diagram');
+
+            const toggle = document.createElement('button');
+            toggle.type = 'button';
+            toggle.dataset.codeAction = 'source';
+            toggle.textContent = 'Source';
+            toggle.title = 'Show the diagram source';
+            block.querySelector('.code-actions').prepend(toggle);
+
+            this.renderDiagram(source).then(svg => {
+                view.innerHTML = svg;
+            }).catch(error => {
+                console.warn('Mermaid error:', error);
+                view.textContent = `Could not draw this diagram: ${error.message}`;
+                view.classList.add('diagram-error');
+                block.classList.add('show-source');
+                toggle.classList.add('active');
+            });
+        });
+    }
+
+    // SVG markup for a mermaid source; results are cached because a message
+    // is rendered again whenever the chat is shown
+    renderDiagram(source) {
+        if (!this.diagramCache.has(source)) {
+            if (this.diagramCache.size >= 50) this.diagramCache.clear();
+            const rendering = (async () => {
+                if (!(await mermaid.parse(source, { suppressErrors: true }))) {
+                    throw new Error('the diagram has a syntax error');
+                }
+                const { svg } = await mermaid.render(`mermaid-diagram-${this.nextDiagramId++}`, source);
+                // mermaid sanitizes labels itself; this is a second line of defence
+                return DOMPurify.sanitize(svg, {
+                    USE_PROFILES: { svg: true, svgFilters: true, html: true },
+                    ADD_TAGS: ['foreignObject']
+                });
+            })();
+            rendering.catch(() => this.diagramCache.delete(source));
+            this.diagramCache.set(source, rendering);
+        }
+        return this.diagramCache.get(source);
+    }
+
+    // Whether value is an absolute URL with one of the given protocols
+    hasProtocol(value, protocols) {
+        try {
+            return protocols.includes(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Replace remote images with a button that loads them on demand, or with
+    // a plain link when the CSP would block them
+    blockRemoteImages(fragment) {
+        fragment.querySelectorAll('img').forEach(img => {
+            const src = img.getAttribute('src');
+            if (!src) {
+                img.remove();
+                return;
+            }
+            if (!this.hasProtocol(src, this.imageProtocols)) {
+                const link = document.createElement('a');
+                link.href = src;
+                link.textContent = img.getAttribute('alt') || src;
+                img.replaceWith(link);
+                return;
+            }
+
+            const placeholder = document.createElement('button');
+            placeholder.type = 'button';
+            placeholder.className = 'remote-image';
+            placeholder.dataset.src = src;
+            placeholder.dataset.alt = img.getAttribute('alt') || '';
+            placeholder.title = src;
+            placeholder.textContent = `🖼️ Load image${placeholder.dataset.alt ? `: ${placeholder.dataset.alt}` : ''} (${new URL(src).host})`;
+            img.replaceWith(placeholder);
+        });
+    }
+
+    // Highlight every code block and give it a toolbar; run after the rendered
+    // HTML has been inserted into container
+    enhanceCodeBlocks(container) {
+        container.querySelectorAll('pre > code').forEach(block => {
+            const pre = block.parentElement;
+            const language = this.highlightCode(block);
+
+            const wrapper = document.createElement('div');
+            wrapper.className = 'code-block';
+            wrapper.dataset.language = language;
+
+            const header = document.createElement('div');
+            header.className = 'code-header';
+            const label = document.createElement('span');
+            label.className = 'code-language';
+            label.textContent = this.languageName(language);
+            header.appendChild(label);
+
+            const actions = document.createElement('div');
+            actions.className = 'code-actions';
+            [
+                ['wrap', 'Wrap', 'Toggle line wrapping'],
+                ['copy', 'Copy', 'Copy code'],
+                ['save', 'Save as…', 'Save code to a file']
+            ].forEach(([action, text, title]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.dataset.codeAction = action;
+                button.textContent = text;
+                button.title = title;
+                actions.appendChild(button);
+            });
+            header.appendChild(actions);
+
+            pre.replaceWith(wrapper);
+            wrapper.append(header, pre);
+        });
+    }
+
+    // Highlight one <code> element with the declared language, or an
+    // auto-detected one when there is none (or highlight.js does not know it).
+    // Returns the language to show ('' for plain text).
+    highlightCode(block) {
+        const declared = block.className.match(/language-([\w+#-]+)/)?.[1] || '';
+        if (typeof hljs === 'undefined') return declared;
+
+        try {
+            const result = declared && hljs.getLanguage(declared)
+                ? hljs.highlight(block.textContent, { language: declared })
+                : hljs.highlightAuto(block.textContent);
+            block.innerHTML = result.value;
+            block.classList.add('hljs');
+            return declared || result.language || '';
+        } catch (error) {
+            console.warn('Highlight.js error:', error);
+            return declared;
+        }
+    }
+
+    languageName(language) {
+        if (!language) return 'text';
+        return (typeof hljs !== 'undefined' && hljs.getLanguage(language)?.name) || language;
+    }
+
+    // Click handler for rendered messages; returns true when it handled the click
+    handleClick(event) {
+        const codeButton = event.target.closest('.code-block [data-code-action]');
+        if (codeButton) {
+            this.runCodeAction(codeButton);
+            return true;
+        }
+
+        const math = event.target.closest('.math-inline, .math-display');
+        if (math && typeof katex !== 'undefined') {
+            this.toggleMathSource(math);
+            return true;
+        }
+
+        const placeholder = event.target.closest('.remote-image');
+        if (placeholder) {
+            const img = document.createElement('img');
+            img.src = placeholder.dataset.src;
+            img.alt = placeholder.dataset.alt;
+            placeholder.replaceWith(img);
+            return true;
+        }
+
+        const link = event.target.closest('a[href]');
+        if (!link) return false;
+
+        const href = link.getAttribute('href');
+        if (href.startsWith('#')) return false;
+
+        event.preventDefault();
+        if (this.hasProtocol(href, this.linkProtocols) && confirm(`Open this link in your browser?\n\n${href}`)) {
+            this.openExternal(href);
+        }
+        return true;
+    }
+
+    runCodeAction(button) {
+        const block = button.closest('.code-block');
+        const code = block.querySelector('pre code').textContent;
+
+        switch (button.dataset.codeAction) {
+            case 'wrap':
+                button.classList.toggle('active', block.classList.toggle('wrap'));
+                break;
+            case 'copy':
+                this.copyCode(button, code);
+                break;
+            case 'save':
+                this.saveCode(button, code, block.dataset.language);
+                break;
+            case 'source':
+                button.classList.toggle('active', block.classList.toggle('show-source'));
+                break;
+        }
+    }
+
+    async copyCode(button, code) {
+        try {
+            await navigator.clipboard.writeText(code);
+            button.textContent = 'Copied';
+        } catch (error) {
+            console.warn('Failed to copy code:', error);
+            button.textContent = 'Copy failed';
+        }
+        setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+    }
+
+    // "Save as…": a native save dialog in Electron, a download otherwise
+    async saveCode(button, code, language) {
+        const extension = this.codeExtensions[language.toLowerCase()] || 'txt';
+        const fileName = /^[A-Z]/.test(extension) ? extension : `snippet.${extension}`;
+
+        if (typeof window !== 'undefined' && window.electronAPI) {
+            try {
+                const savedPath = await window.electronAPI.saveFile(fileName, code);
+                if (savedPath) button.textContent = 'Saved';
+            } catch (error) {
+                console.warn('Failed to save code:', error);
+                button.textContent = 'Save failed';
+            }
+            setTimeout(() => { button.textContent = 'Save as…'; }, 1500);
+            return;
+        }
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([code], { type: 'text/plain' }));
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    // Open a URL outside the app: the system browser in Electron, a new tab otherwise
+    openExternal(url) {
+        if (typeof window !== 'undefined' && window.electronAPI) {
+            window.electronAPI.openExternal(url).catch(error => console.warn('Failed to open link:', error));
+        } else {
+            window.open(url, '_blank', 'noopener,noreferrer');
+        }
+    }
+}
+
+// Export the class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownRenderer;
+} else {
+    window.MarkdownRenderer = MarkdownRenderer;
+}
@@ -0,0 +1,36 @@
+// Preload script
+// Exposes the small API the renderer may use to reach the main process.
+// Nothing else from Node or Electron is available to the page.
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Listeners for streamed provider responses, by request id
+const httpListeners = new Map();
+ipcRenderer.on('http:event', (event, id, type, payload) => {
+  const listener = httpListeners.get(id);
+  if (listener) listener(type, payload);
+});
+
+contextBridge.exposeInMainWorld('electronAPI', {
+  // API keys, encrypted and stored by the main process (secure-keys.js).
+  // The page can see which providers have a key, never the key itself.
+  keys: {
+    status: () => ipcRenderer.invoke('keys:status'),
+    set: (provider, key, origin) => ipcRenderer.invoke('keys:set', provider, key, origin),
+    remove: (provider) => ipcRenderer.invoke('keys:remove', provider)
+  },
+  // Opens an http(s) or mailto link in the system browser
+  openExternal: (url) => ipcRenderer.invoke('shell:open-external', url),
+  // Asks where to save content (save dialog); resolves with the path, or null if cancelled
+  saveFile: (defaultName, content) => ipcRenderer.invoke('dialog:save-file', defaultName, content),
+  // Provider requests, performed by the main process (provider-proxy.js)
+  http: {
+    request: (id, spec) => ipcRenderer.invoke('http:request', id, spec),
+    abort: (id) => ipcRenderer.send('http:abort', id),
+    // listener(type, payload) gets 'chunk' (bytes), 'end' and 'error' (message)
+    subscribe: (id, listener) => {
+      httpListeners.set(id, listener);
+      return () => httpListeners.delete(id);
+    }
+  }
+});
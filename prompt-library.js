@@ -0,0 +1,173 @@
+// Prompt Library
+// Reusable prompt templates, kept in localStorage ('promptTemplates') and
+// inserted into the message box by typing "/". A template may contain
+// {{variables}}: {{clipboard}} and {{selection}} are filled in from the
+// clipboard and from the text last selected in the app, any other name is
+// asked for in a small form. Sets of templates are shared as JSON files.
+
+class PromptLibrary {
+    constructor() {
+        this.storageKey = 'promptTemplates';
+        this.exportFormat = 'ai-sidebar-prompts';
+        this.exportVersion = 1;
+        this.builtinVariables = ['clipboard', 'selection'];
+        this.templates = this.load(); // [{ id, name, text }], sorted by name
+    }
+
+    // Starter set for a library that was never saved
+    static defaults() {
+        return [
+            {
+                id: 'prompt-review-diff',
+                name: 'Review diff',
+                text: 'Review this diff. Point out bugs, risky changes and missing tests, most important first.\n\n```diff\n{{clipboard}}\n```'
+            },
+            {
+                id: 'prompt-explain-stack-trace',
+                name: 'Explain stack trace',
+                text: 'Explain this stack trace: what failed, where, and the most likely cause. Suggest a fix.\n\n```\n{{clipboard}}\n```'
+            },
+            {
+                id: 'prompt-translate',
+                name: 'Translate',
+                text: 'Translate into {{language}}, keeping the formatting:\n\n{{selection}}'
+            }
+        ];
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (Array.isArray(saved)) return this.sort(saved.filter(template => this.isTemplate(template)));
+        } catch (error) {
+            console.warn('Failed to load prompt templates:', error);
+        }
+        return this.sort(PromptLibrary.defaults());
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.templates));
+        } catch (error) {
+            console.warn('Failed to save prompt templates:', error);
+        }
+    }
+
+    isTemplate(template) {
+        return !!template && typeof template.name === 'string' && template.name.trim() !== '' &&
+            typeof template.text === 'string';
+    }
+
+    sort(templates) {
+        return templates.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    get(id) {
+        return this.templates.find(template => template.id === id) || null;
+    }
+
+    // Add a new template, or replace the one with the same id
+    saveTemplate({ id, name, text }) {
+        const template = { id: id || `prompt-${Date.now().toString(36)}`, name: name.trim(), text };
+        this.templates = this.sort([...this.templates.filter(t => t.id !== template.id), template]);
+        this.save();
+        return template;
+    }
+
+    removeTemplate(id) {
+        this.templates = this.templates.filter(template => template.id !== id);
+        this.save();
+    }
+
+    // Names of the {{variables}} in a template, in order of first use
+    static variables(text) {
+        const names = [];
+        for (const match of text.matchAll(/\{\{\s*([^{}]+?)\s*\}\}/g)) {
+            if (!names.includes(match[1])) names.push(match[1]);
+        }
+        return names;
+    }
+
+    static fill(text, values) {
+        return text.replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (placeholder, name) => values[name] ?? '');
+    }
+
+    // Templates whose name (or else text) contains the letters of the query
+    // in order, best match first
+    search(query) {
+        const needle = query.trim().toLowerCase();
+        if (!needle) return [...this.templates];
+        return this.templates
+            .map(template => ({
+                template,
+                score: Math.max(
+                    PromptLibrary.fuzzyScore(needle, template.name.toLowerCase()),
+                    PromptLibrary.fuzzyScore(needle, template.text.toLowerCase()) - 100
+                )
+            }))
+            .filter(entry => entry.score > -Infinity)
+            .sort((a, b) => b.score - a.score)
+            .map(entry => entry.template);
+    }
+
+    // Higher for matches at word starts and in runs, lower for gaps;
+    // -Infinity when the letters do not all appear in order
+    static fuzzyScore(needle, haystack) {
+        let score = 0;
+        let position = 0;
+        let previous = -2;
+        for (const char of needle) {
+            const index = haystack.indexOf(char, position);
+            if (index === -1) return -Infinity;
+            if (index === previous + 1) score += 5;
+            if (index === 0 || /[\s\-_/.]/.test(haystack[index - 1])) score += 10;
+            score -= index - position;
+            previous = index;
+            position = index + 1;
+        }
+        return score;
+    }
+
+    toJson() {
+        return JSON.stringify({
+            format: this.exportFormat,
+            version: this.exportVersion,
+            templates: this.templates.map(({ name, text }) => ({ name, text }))
+        }, null, 2);
+    }
+
+    // Add the templates of an exported file; a template with the name of an
+    // existing one replaces its text. Returns { added, updated }.
+    importJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+        const templates = Array.isArray(data) ? data : data?.templates;
+        if (!Array.isArray(templates) || (!Array.isArray(data) && data.format !== this.exportFormat)) {
+            throw new Error('The file is not a prompt library export');
+        }
+        if (data.version > this.exportVersion) {
+            throw new Error('The file was exported by a newer version of the app');
+        }
+
+        let added = 0;
+        let updated = 0;
+        templates.filter(template => this.isTemplate(template)).forEach(({ name, text }) => {
+            const existing = this.templates.find(t => t.name.toLowerCase() === name.trim().toLowerCase());
+            if (existing?.text === text) return;
+            this.saveTemplate({ id: existing?.id || `prompt-${Date.now().toString(36)}-${added}`, name, text });
+            if (existing) updated++; else added++;
+        });
+        return { added, updated };
+    }
+}
+
+// Export the class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptLibrary;
+} else {
+    window.PromptLibrary = PromptLibrary;
+}
@@ -0,0 +1,120 @@
+// Provider request proxy (main process)
+// The page never talks to AI providers itself: it sends a request description
+// over IPC, this module adds the API key (only for the origin the key belongs
+// to), performs the request and streams the response body back as
+// 'http:event' messages. See http-transport.js for the renderer side.
+
+const { ipcMain, net } = require('electron');
+const AI_CONFIG = require('./config');
+const { getKey, getKeyOrigin, isTrustedSender } = require('./secure-keys');
+
+const activeRequests = new Map(); // request id -> AbortController
+
+// Origin a provider's key may be sent to: the one saved with a custom
+// provider's key, or the endpoint of a built-in provider in config.js
+function allowedKeyOrigin(provider) {
+  const customOrigin = getKeyOrigin(provider);
+  if (customOrigin) return customOrigin;
+
+  const config = AI_CONFIG[provider];
+  const url = config && (config.endpoint || config.baseUrl);
+  try {
+    return url ? new URL(url).origin : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Attach the key described by auth ({ provider, header, prefix }) to the headers
+function applyAuth(url, headers, auth) {
+  const key = getKey(auth.provider);
+  if (!key) return;
+  if (url.origin !== allowedKeyOrigin(auth.provider)) {
+    throw new Error(`Refusing to send the ${auth.provider} API key to ${url.origin}`);
+  }
+  headers[auth.header] = `${auth.prefix || ''}${key}`;
+}
+
+// Forward the response body to the page chunk by chunk
+async function streamBody(sender, id, response, controller) {
+  const send = (type, payload) => {
+    if (!sender.isDestroyed()) sender.send('http:event', id, type, payload);
+  };
+
+  try {
+    if (response.body) {
+      const reader = response.body.getReader();
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        send('chunk', value);
+      }
+    }
+    send('end');
+  } catch (error) {
+    if (!controller.signal.aborted) send('error', error.message);
+  } finally {
+    activeRequests.delete(id);
+  }
+}
+
+// spec: { url, method, headers, body, auth }. Resolves with the response
+// status and headers once they arrive, or { error } (network: true when the
+// server could not be reached).
+async function handleRequest(event, id, spec) {
+  let url;
+  try {
+    url = new URL(spec.url);
+  } catch (error) {
+    return { error: `Invalid URL: ${spec.url}` };
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return { error: `Unsupported protocol: ${url.protocol}` };
+  }
+
+  const headers = { ...(spec.headers || {}) };
+  try {
+    if (spec.auth) applyAuth(url, headers, spec.auth);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const controller = new AbortController();
+  activeRequests.set(id, controller);
+
+  let response;
+  try {
+    response = await net.fetch(url.toString(), {
+      method: spec.method || 'GET',
+      headers,
+      body: spec.body,
+      signal: controller.signal
+    });
+  } catch (error) {
+    activeRequests.delete(id);
+    return controller.signal.aborted
+      ? { error: 'The request was aborted', aborted: true }
+      : { error: error.message, network: true };
+  }
+
+  streamBody(event.sender, id, response, controller);
+  return {
+    status: response.status,
+    statusText: response.statusText,
+    headers: Object.fromEntries(response.headers)
+  };
+}
+
+function registerProxyHandlers() {
+  ipcMain.handle('http:request', (event, id, spec) => {
+    if (!isTrustedSender(event)) throw new Error('Untrusted sender');
+    return handleRequest(event, id, spec);
+  });
+  ipcMain.on('http:abort', (event, id) => {
+    if (!isTrustedSender(event)) return;
+    const controller = activeRequests.get(id);
+    if (controller) controller.abort();
+  });
+}
+
+module.exports = { registerProxyHandlers };
@@ -0,0 +1,216 @@
+// Provider Registry
+// Keeps the available AI provider adapters: the built-in ones configured in
+// config.js plus any OpenAI-compatible endpoints the user adds in Settings.
+// Their API keys live in the KeyStore, never in config objects or localStorage,
+// and their requests go out through the HttpTransport.
+
+class ProviderRegistry {
+    constructor(keyStore = new KeyStore(), transport = new HttpTransport(keyStore)) {
+        this.providers = new Map();
+        this.keyStore = keyStore;
+        this.transport = transport;
+        this.customStorageKey = 'customProviders';
+        // Keys found in localStorage entries of earlier versions, moved by migrateLegacyKeys()
+        this.legacyKeyStorageKeys = { openai: 'openaiKey', mistral: 'mistralKey', gemini: 'geminiKey', anthropic: 'anthropicKey' };
+        this.legacyCustomKeys = [];
+    }
+
+    register(provider) {
+        provider.keys = this.keyStore;
+        provider.transport = this.transport;
+        this.providers.set(provider.id, provider);
+        return provider;
+    }
+
+    unregister(id) {
+        return this.providers.delete(id);
+    }
+
+    has(id) {
+        return this.providers.has(id);
+    }
+
+    get(id) {
+        return this.providers.get(id) || null;
+    }
+
+    // All providers in registration order (built-ins first)
+    list() {
+        return Array.from(this.providers.values());
+    }
+
+    // Register the providers configured in config.js
+    registerBuiltIns() {
+        this.register(new OpenAICompatibleProvider({
+            id: 'openai',
+            name: 'OpenAI',
+            label: 'gpt',
+            icon: './assets/gpt-icon.svg',
+            config: AI_CONFIG.openai,
+            keyPrefix: 'sk-',
+            maxTokensField: 'max_completion_tokens',
+            modelFilter: /^(gpt-|o\d|chatgpt-)(?!.*(audio|realtime|tts|transcribe|image|search))/,
+            visionPattern: /gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-4-vision|gpt-5|^o[134]/
+        }));
+        this.register(new OpenAICompatibleProvider({
+            id: 'mistral',
+            name: 'Mistral',
+            label: 'mistral',
+            icon: './assets/mistral-icon.svg',
+            config: AI_CONFIG.mistral,
+            keyPrefix: 'mistral-',
+            imageUrlAsString: true,
+            seedField: 'random_seed',
+            visionPattern: /pixtral|mistral-(small|medium)-(latest|2[5-9])/
+        }));
+        this.register(new GeminiProvider({
+            id: 'gemini',
+            name: 'Gemini',
+            label: 'gemini',
+            icon: './assets/gemini-icon.svg',
+            config: AI_CONFIG.gemini,
+            visionPattern: /gemini/
+        }));
+        this.register(new AnthropicProvider({
+            id: 'anthropic',
+            name: 'Anthropic',
+            label: 'claude',
+            icon: './assets/anthropic-icon.svg',
+            config: AI_CONFIG.anthropic,
+            visionPattern: /claude-(3|sonnet|opus|haiku)/
+        }));
+        this.register(new OllamaProvider({
+            id: 'ollama',
+            name: 'Ollama',
+            label: 'ollama',
+            icon: './assets/ollama-icon.svg',
+            config: AI_CONFIG.ollama,
+            visionPattern: /llava|vision|moondream|minicpm-v|gemma3|qwen2\.5vl|mistral-small3/
+        }));
+    }
+
+    // Build an adapter for a user-defined OpenAI-compatible endpoint.
+    // definition: { id, name, baseUrl, model, headers, vision }; its optional
+    // key is stored in the KeyStore under the same id.
+    createCustomProvider(definition) {
+        return new OpenAICompatibleProvider({
+            id: definition.id,
+            name: definition.name,
+            label: definition.name,
+            icon: './assets/ai-icon.svg',
+            custom: true,
+            config: {
+                baseUrl: definition.baseUrl,
+                model: definition.model,
+                headers: definition.headers || {},
+                vision: !!definition.vision,
+                maxTokens: definition.maxTokens || 1000,
+                temperature: definition.temperature ?? 0.7
+            }
+        });
+    }
+
+    // Custom provider definitions as stored
+    getCustomDefinitions() {
+        return this.list()
+            .filter(provider => provider.custom)
+            .map(provider => ({
+                id: provider.id,
+                name: provider.name,
+                baseUrl: provider.config.baseUrl,
+                model: provider.config.model,
+                headers: provider.config.headers,
+                vision: provider.config.vision
+            }));
+    }
+
+    loadCustomProviders() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.customStorageKey) || '[]');
+            saved.forEach(definition => this.register(this.createCustomProvider(definition)));
+            this.legacyCustomKeys = saved.filter(definition => definition.apiKey)
+                .map(definition => ({ id: definition.id, key: definition.apiKey }));
+        } catch (error) {
+            console.warn('Failed to load custom providers:', error);
+        }
+    }
+
+    saveCustomProviders() {
+        try {
+            localStorage.setItem(this.customStorageKey, JSON.stringify(this.getCustomDefinitions()));
+        } catch (error) {
+            console.warn('Failed to save custom providers:', error);
+        }
+    }
+
+    // Add a new custom provider, or replace one with the same id
+    saveCustomProvider(definition) {
+        if (!definition.id) {
+            definition = { ...definition, id: `custom-${Date.now().toString(36)}` };
+        }
+        const provider = this.register(this.createCustomProvider(definition));
+        this.saveCustomProviders();
+        return provider;
+    }
+
+    removeCustomProvider(id) {
+        const provider = this.get(id);
+        if (!provider || !provider.custom) return false;
+        this.unregister(id);
+        this.saveCustomProviders();
+        this.keyStore.remove(id).catch(error => console.warn(`Failed to remove the key of ${id}:`, error));
+        return true;
+    }
+
+    // Origin a custom provider's key may be sent to
+    getKeyOrigin(id) {
+        const provider = this.get(id);
+        return provider && provider.custom ? new URL(provider.getEndpoint()).origin : null;
+    }
+
+    // Move keys kept in plain text by earlier versions (localStorage entries,
+    // custom provider definitions, apiKey in config.js) into the key store.
+    // Without persistent storage they are only loaded, not removed.
+    async migrateLegacyKeys() {
+        const persistent = this.keyStore.isPersistent();
+        const found = [];
+
+        Object.entries(this.legacyKeyStorageKeys).forEach(([id, storageKey]) => {
+            const key = (localStorage.getItem(storageKey) || '').trim();
+            if (key) found.push({ id, key, clear: () => localStorage.removeItem(storageKey) });
+        });
+        this.legacyCustomKeys.forEach(({ id, key }) => {
+            found.push({ id, key, clear: () => this.saveCustomProviders() });
+        });
+        this.list().forEach(provider => {
+            const key = (provider.config.apiKey || '').trim();
+            if (key) {
+                console.warn(`Moving the ${provider.name} API key out of config.js; remove it from the file.`);
+                found.push({ id: provider.id, key, clear: () => delete provider.config.apiKey });
+            }
+        });
+
+        for (const { id, key, clear } of found) {
+            if (!this.has(id)) continue;
+            if (!this.keyStore.has(id)) await this.keyStore.set(id, key, this.getKeyOrigin(id));
+            if (persistent) clear();
+        }
+        this.legacyCustomKeys = [];
+        return found.length;
+    }
+
+    // Registry with the built-in and the saved custom providers
+    static createDefault() {
+        const registry = new ProviderRegistry();
+        registry.registerBuiltIns();
+        registry.loadCustomProviders();
+        return registry;
+    }
+}
+
+// Export the class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProviderRegistry;
+} else {
+    window.ProviderRegistry = ProviderRegistry;
+}
@@ -0,0 +1,130 @@
+// Anthropic Provider Adapter
+// Messages API (https://api.anthropic.com/v1/messages)
+
+class AnthropicProvider extends BaseProvider {
+    constructor(options) {
+        super(options);
+        this.auth = { header: 'x-api-key' };
+        this.apiVersion = '2023-06-01';
+        // Friendlier text for the error types the Messages API reports
+        this.errorHints = {
+            authentication_error: 'check your Anthropic API key',
+            permission_error: 'this key cannot use the selected model',
+            not_found_error: 'unknown model or endpoint',
+            rate_limit_error: 'rate limit reached, try again shortly',
+            overloaded_error: 'Anthropic is overloaded, try again shortly'
+        };
+    }
+
+    validateKey(apiKey) {
+        return super.validateKey(apiKey) && apiKey.startsWith('sk-ant-');
+    }
+
+    // x-api-key is added by request()
+    getHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'anthropic-version': this.apiVersion,
+            // Required when the request comes from a browser page (browser mode)
+            'anthropic-dangerous-direct-browser-access': 'true'
+        };
+    }
+
+    async listModels(options = {}) {
+        const url = this.config.endpoint.replace(/\/messages$/, '/models');
+        const data = await this.fetchJson(`${url}?limit=1000`, {
+            headers: this.getHeaders(),
+            signal: options.signal
+        });
+        return (data.data || []).map(model => model.id);
+    }
+
+    // Conversation context as Messages API turns. Roles must alternate, so
+    // consecutive turns from the same side are merged into one.
+    buildMessages(context, model) {
+        const includeImages = this.supportsVision(model);
+        const messages = [];
+
+        context.forEach(msg => {
+            const role = msg.role === 'user' ? 'user' : 'assistant';
+            const content = [];
+            if (includeImages) {
+                (msg.attachments || []).filter(att => att.type === 'image').forEach(img => {
+                    content.push({
+                        type: 'image',
+                        source: { type: 'base64', media_type: img.mimeType, data: img.base64 }
+                    });
+                });
+            }
+            content.push({ type: 'text', text: this.composeMessageText(msg, includeImages) || '(empty)' });
+
+            const previous = messages[messages.length - 1];
+            if (previous && previous.role === role) {
+                previous.content.push(...content);
+            } else {
+                messages.push({ role, content });
+            }
+        });
+
+        return messages;
+    }
+
+    async throwResponseError(response) {
+        const errorData = await response.json().catch(() => ({}));
+        const type = errorData.error?.type;
+        const message = errorData.error?.message || response.statusText;
+        const hint = this.errorHints[type] || (response.status === 529 ? this.errorHints.overloaded_error : '');
+        throw new Error(`${this.name} API error: ${response.status} - ${message}${hint ? ` (${hint})` : ''}`);
+    }
+
+    async chat(context, options = {}) {
+        this.ensureConfigured();
+        // The Messages API has no seed parameter
+        const { maxTokens, temperature, topP, stop } = this.getGenerationSettings(options);
+        const model = this.getModel(options);
+
+        const body = {
+            model: model,
+            messages: this.buildMessages(context, model),
+            max_tokens: maxTokens,
+            temperature: temperature,
+            top_p: topP,
+            stop_sequences: stop,
+            stream: !!options.stream
+        };
+        if (options.systemPrompt) {
+            body.system = options.systemPrompt;
+        }
+
+        const response = await this.request(this.config.endpoint, {
+            method: 'POST',
+            headers: this.getHeaders(),
+            signal: options.signal,
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            await this.throwResponseError(response);
+        }
+
+        if (options.stream) {
+            const text = await this.readEventStream(response, options.onToken,
+                chunk => chunk.type === 'content_block_delta' ? chunk.delta?.text : null);
+            return text || 'No response from Anthropic';
+        }
+
+        const data = await response.json();
+        const text = (data.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+        return text || 'No response from Anthropic';
+    }
+}
+
+// Export the class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnthropicProvider;
+} else {
+    window.AnthropicProvider = AnthropicProvider;
+}
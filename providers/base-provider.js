@@ -0,0 +1,192 @@
+// Base Provider Adapter
+// Common interface for AI providers: an adapter turns the app's provider-neutral
+// context ({ role, content, attachments } messages) into one provider's HTTP
+// request and its response back into plain text.
+
+class BaseProvider {
+    constructor({ id, name, label, icon, config, visionPattern = null, custom = false }) {
+        this.id = id;                     // Registry key, stored with chats and settings
+        this.name = name;                 // Display name used in messages
+        this.label = label || name;       // Short name shown in the provider selector
+        this.icon = icon || './assets/ai-icon.svg';
+        this.config = config;             // Endpoint, apiKey, model, maxTokens, temperature
+        this.visionPattern = visionPattern;
+        this.custom = custom;             // Added by the user in Settings
+        this.requiresKey = true;
+        this.keys = null;                 // KeyStore, set by the registry
+        this.transport = null;            // HttpTransport, set by the registry
+        // Header that carries the API key: value = prefix + key
+        this.auth = { header: 'Authorization', prefix: 'Bearer ' };
+    }
+
+    hasKey() {
+        return !!this.keys && this.keys.has(this.id);
+    }
+
+    // Whether the provider has what it needs to make requests
+    isConfigured() {
+        return !this.requiresKey || this.hasKey();
+    }
+
+    // Model for a request: the chat's choice wins over the configured default
+    getModel(options = {}) {
+        return options.model || this.config.model;
+    }
+
+    // Whether a model (the configured one by default) accepts image input
+    supportsVision(model = this.config.model) {
+        if (typeof this.config.vision === 'boolean') return this.config.vision;
+        return !!this.visionPattern && this.visionPattern.test(model || '');
+    }
+
+    // Model ids offered by the provider. Adapters query their list-models
+    // endpoint; the default only knows the configured model.
+    async listModels(options = {}) {
+        return this.config.model ? [this.config.model] : [];
+    }
+
+    // Loose format check for an API key
+    validateKey(apiKey) {
+        return !!apiKey && apiKey.trim().length > 20;
+    }
+
+    // Send a conversation and return the reply text.
+    // options: { model, systemPrompt, stream, onToken, signal,
+    //            maxTokens, temperature, topP, stop, seed }
+    async chat(context, options = {}) {
+        throw new Error(`${this.name} does not implement chat()`);
+    }
+
+    // Generation settings for a request: explicit options win over the config.
+    // Unset values stay undefined so they are left out of the request body.
+    getGenerationSettings(options = {}) {
+        const stop = options.stop ?? this.config.stop;
+        return {
+            maxTokens: options.maxTokens ?? this.config.maxTokens,
+            temperature: options.temperature ?? this.config.temperature,
+            topP: options.topP ?? this.config.topP,
+            stop: stop && stop.length > 0 ? stop : undefined,
+            seed: options.seed ?? this.config.seed
+        };
+    }
+
+    ensureConfigured() {
+        if (!this.isConfigured()) {
+            throw new Error(`${this.name} API key not configured`);
+        }
+    }
+
+    // Message text with extracted document content appended, plus a note for
+    // any images the model cannot receive
+    composeMessageText(msg, includeImages) {
+        let text = msg.content || '';
+
+        (msg.attachments || []).forEach(att => {
+            if (att.type === 'document') {
+                text += `\n\n[Attached file: ${att.filename}]\n\`\`\`\n${att.content}\n\`\`\``;
+            } else if (att.type === 'image' && !includeImages) {
+                text += `\n\n[Image attached: ${att.filename} — not sent, the selected model does not accept images]`;
+            }
+        });
+
+        return text;
+    }
+
+    // Turn a failed HTTP response into an Error with the provider's message
+    async throwResponseError(response) {
+        const errorData = await response.json().catch(() => ({}));
+        const message = (typeof errorData.error === 'string' ? errorData.error : errorData.error?.message) ||
+            errorData.message || response.statusText;
+        throw new Error(`${this.name} API error: ${response.status} - ${message}`);
+    }
+
+    // GET a JSON document, failing the same way chat requests do
+    async fetchJson(url, init = {}) {
+        const response = await this.request(url, init);
+        if (!response.ok) {
+            await this.throwResponseError(response);
+        }
+        return response.json();
+    }
+
+    // fetch() through the app's transport, which attaches the provider's API
+    // key (see http-transport.js). An unreachable server is reported by name
+    // instead of "Failed to fetch".
+    async request(url, init = {}) {
+        const auth = this.hasKey() ? { provider: this.id, ...this.auth } : null;
+        try {
+            return await this.transport.fetch(url, init, auth);
+        } catch (error) {
+            if (!(error instanceof TypeError)) throw error;
+            throw new Error(`Cannot reach ${this.name} at ${new URL(url).origin}. Is the server running?`);
+        }
+    }
+
+    // Read a server-sent events body, collecting the text of every chunk.
+    // extractDelta maps one parsed JSON chunk to its text (or nothing).
+    async readEventStream(response, onToken, extractDelta) {
+        return this.readStreamedChunks(response, onToken, extractDelta, (line) => {
+            if (!line.startsWith('data:')) return null;
+            const payload = line.slice(5).trim();
+            return payload && payload !== '[DONE]' ? payload : null;
+        });
+    }
+
+    // Read a newline-delimited JSON body (one JSON object per line)
+    async readJsonLines(response, onToken, extractDelta) {
+        return this.readStreamedChunks(response, onToken, extractDelta, (line) => line.trim() || null);
+    }
+
+    // Shared reader: splits the body into lines, lets linePayload pick the JSON
+    // text out of each line, and collects the text extractDelta finds in it
+    async readStreamedChunks(response, onToken, extractDelta, linePayload) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let fullText = '';
+
+        const handleLine = (line) => {
+            const payload = linePayload(line);
+            if (!payload) return;
+
+            let chunk;
+            try {
+                chunk = JSON.parse(payload);
+            } catch (e) {
+                console.warn('Skipping malformed stream chunk:', payload);
+                return;
+            }
+            if (chunk.error) {
+                throw new Error(`${this.name} API error: ${typeof chunk.error === 'string' ? chunk.error : chunk.error.message || 'stream error'}`);
+            }
+
+            const delta = extractDelta(chunk);
+            if (delta) {
+                fullText += delta;
+                if (onToken) onToken(delta, fullText);
+            }
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop(); // keep the incomplete trailing line
+            lines.forEach(handleLine);
+        }
+
+        buffer += decoder.decode();
+        if (buffer) handleLine(buffer);
+
+        return fullText;
+    }
+}
+
+// Export the class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BaseProvider;
+} else {
+    window.BaseProvider = BaseProvider;
+}
@@ -0,0 +1,92 @@
+// Google Gemini Provider Adapter
+// generateContent / streamGenerateContent REST API
+
+class GeminiProvider extends BaseProvider {
+    constructor(options) {
+        super(options);
+        this.auth = { header: 'x-goog-api-key' };
+    }
+
+    getBaseUrl() {
+        return (this.config.baseUrl || '').trim().replace(/\/+$/, '');
+    }
+
+    // Models that can generate content (the list also has embedding models)
+    async listModels(options = {}) {
+        const data = await this.fetchJson(`${this.getBaseUrl()}/models?pageSize=1000`, {
+            signal: options.signal
+        });
+        return (data.models || [])
+            .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+            .map(model => model.name.replace(/^models\//, ''));
+    }
+
+    async chat(context, options = {}) {
+        this.ensureConfigured();
+        const { maxTokens, temperature, topP, stop, seed } = this.getGenerationSettings(options);
+        const model = this.getModel(options);
+
+        // Gemini has a different API structure
+        const contents = [];
+
+        // Add conversation context; images travel as inline_data parts
+        const includeImages = this.supportsVision(model);
+        context.forEach(msg => {
+            const parts = [{ text: this.composeMessageText(msg, includeImages) }];
+            if (includeImages) {
+                (msg.attachments || []).filter(att => att.type === 'image').forEach(img => {
+                    parts.push({ inline_data: { mime_type: img.mimeType, data: img.base64 } });
+                });
+            }
+            contents.push({
+                role: msg.role === 'user' ? 'user' : 'model',
+                parts
+            });
+        });
+
+        // Streaming uses the SSE flavour of streamGenerateContent
+        const modelUrl = `${this.getBaseUrl()}/models/${encodeURIComponent(model)}`;
+        const url = options.stream
+            ? `${modelUrl}:streamGenerateContent?alt=sse`
+            : `${modelUrl}:generateContent`;
+
+        const response = await this.request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            signal: options.signal,
+            body: JSON.stringify({
+                contents: contents,
+                systemInstruction: options.systemPrompt ? { parts: [{ text: options.systemPrompt }] } : undefined,
+                generationConfig: {
+                    maxOutputTokens: maxTokens,
+                    temperature: temperature,
+                    topP: topP,
+                    stopSequences: stop,
+                    seed: seed
+                }
+            })
+        });
+
+        if (!response.ok) {
+            await this.throwResponseError(response);
+        }
+
+        if (options.stream) {
+            const text = await this.readEventStream(response, options.onToken,
+                chunk => chunk.candidates?.[0]?.content?.parts?.map(p => p.text || '').join(''));
+            return text || 'No response from Gemini';
+        }
+
+        const data = await response.json();
+        return data.candidates?.[0]?.content?.parts?.[0]?.text || 'No response from Gemini';
+    }
+}
+
+// Export the class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeminiProvider;
+} else {
+    window.GeminiProvider = GeminiProvider;
+}
@@ -0,0 +1,101 @@
+// Ollama Provider Adapter
+// Native /api/chat endpoint of a local Ollama server. Streams newline-delimited
+// JSON and needs no API key.
+
+class OllamaProvider extends BaseProvider {
+    constructor(options) {
+        super(options);
+        this.requiresKey = false;
+    }
+
+    isConfigured() {
+        return !!this.getBaseUrl() && !!this.config.model;
+    }
+
+    ensureConfigured() {
+        if (!this.isConfigured()) {
+            throw new Error('Ollama server URL or model not configured');
+        }
+    }
+
+    // Ollama runs without keys; any value is accepted
+    validateKey() {
+        return true;
+    }
+
+    getBaseUrl() {
+        return (this.config.baseUrl || '').trim().replace(/\/+$/, '');
+    }
+
+    // Models pulled on the server
+    async listModels(options = {}) {
+        const data = await this.fetchJson(`${this.getBaseUrl()}/api/tags`, { signal: options.signal });
+        return (data.models || []).map(model => model.name).sort();
+    }
+
+    // Conversation context as /api/chat messages; images go in a separate
+    // array of bare base64 strings
+    buildMessages(context, systemPrompt, model) {
+        const includeImages = this.supportsVision(model);
+
+        const messages = context.map(msg => {
+            const message = {
+                role: msg.role,
+                content: this.composeMessageText(msg, includeImages)
+            };
+            const images = includeImages ? (msg.attachments || []).filter(att => att.type === 'image') : [];
+            if (images.length > 0) {
+                message.images = images.map(img => img.base64);
+            }
+            return message;
+        });
+
+        return systemPrompt ? [{ role: 'system', content: systemPrompt }, ...messages] : messages;
+    }
+
+    async chat(context, options = {}) {
+        this.ensureConfigured();
+        const { maxTokens, temperature, topP, stop, seed } = this.getGenerationSettings(options);
+        const model = this.getModel(options);
+
+        const response = await this.request(`${this.getBaseUrl()}/api/chat`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            signal: options.signal,
+            body: JSON.stringify({
+                model: model,
+                messages: this.buildMessages(context, options.systemPrompt, model),
+                stream: !!options.stream,
+                options: {
+                    num_predict: maxTokens,
+                    temperature: temperature,
+                    top_p: topP,
+                    stop: stop,
+                    seed: seed
+                }
+            })
+        });
+
+        if (!response.ok) {
+            await this.throwResponseError(response);
+        }
+
+        if (options.stream) {
+            const text = await this.readJsonLines(response, options.onToken,
+                chunk => chunk.message?.content);
+            return text || 'No response from Ollama';
+        }
+
+        const data = await response.json();
+        return data.message?.content || 'No response from Ollama';
+    }
+}
+
+// Export the class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OllamaProvider;
+} else {
+    window.OllamaProvider = OllamaProvider;
+}
@@ -0,0 +1,132 @@
+// OpenAI-compatible Provider Adapter
+// Chat Completions API as spoken by OpenAI, Mistral and local servers such as
+// llama.cpp, vLLM and Ollama's /v1 endpoint.
+
+class OpenAICompatibleProvider extends BaseProvider {
+    constructor(options) {
+        super(options);
+        // Mistral takes image_url as a plain data URL string instead of { url }
+        this.imageUrlAsString = !!options.imageUrlAsString;
+        this.keyPrefix = options.keyPrefix || '';
+        // Which ids from /models are chat models (OpenAI also lists embeddings, TTS...)
+        this.modelFilter = options.modelFilter || null;
+        // Request field names that differ between servers: OpenAI's reasoning
+        // models only take max_completion_tokens, Mistral calls the seed random_seed
+        this.maxTokensField = options.maxTokensField || 'max_tokens';
+        this.seedField = options.seedField || 'seed';
+        // Local servers usually run without authentication
+        this.requiresKey = !options.custom;
+    }
+
+    isConfigured() {
+        return super.isConfigured() && !!this.getEndpoint() && !!this.config.model;
+    }
+
+    validateKey(apiKey) {
+        return super.validateKey(apiKey) && apiKey.startsWith(this.keyPrefix);
+    }
+
+    // Full chat completions URL; custom providers only give a base URL
+    getEndpoint() {
+        if (this.config.endpoint) return this.config.endpoint;
+        const base = (this.config.baseUrl || '').trim().replace(/\/+$/, '');
+        if (!base) return '';
+        return /\/chat\/completions$/.test(base) ? base : `${base}/chat/completions`;
+    }
+
+    // The /models endpoint next to /chat/completions
+    getModelsUrl() {
+        return this.getEndpoint().replace(/\/chat\/completions$/, '/models');
+    }
+
+    async listModels(options = {}) {
+        const data = await this.fetchJson(this.getModelsUrl(), {
+            headers: this.getHeaders(),
+            signal: options.signal
+        });
+        return (data.data || [])
+            // Mistral marks models that cannot chat (e.g. embeddings)
+            .filter(model => model.capabilities?.completion_chat !== false)
+            .map(model => model.id)
+            .filter(id => !this.modelFilter || this.modelFilter.test(id))
+            .sort();
+    }
+
+    // The Bearer key is added by request()
+    getHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            ...(this.config.headers || {})
+        };
+    }
+
+    // Conversation context in the chat-completions shape.
+    // Messages with images become content-part arrays.
+    buildMessages(context, systemPrompt, model) {
+        const includeImages = this.supportsVision(model);
+
+        const messages = context.map(msg => {
+            const text = this.composeMessageText(msg, includeImages);
+            const images = includeImages ? (msg.attachments || []).filter(att => att.type === 'image') : [];
+            if (images.length === 0) {
+                return { role: msg.role, content: text };
+            }
+
+            const parts = [{ type: 'text', text }];
+            images.forEach(img => {
+                const url = `data:${img.mimeType};base64,${img.base64}`;
+                parts.push({
+                    type: 'image_url',
+                    image_url: this.imageUrlAsString ? url : { url }
+                });
+            });
+            return { role: msg.role, content: parts };
+        });
+
+        return systemPrompt ? [{ role: 'system', content: systemPrompt }, ...messages] : messages;
+    }
+
+    async chat(context, options = {}) {
+        this.ensureConfigured();
+        const { maxTokens, temperature, topP, stop, seed } = this.getGenerationSettings(options);
+        const model = this.getModel(options);
+
+        const body = {
+            model: model,
+            messages: this.buildMessages(context, options.systemPrompt, model),
+            temperature: temperature,
+            top_p: topP,
+            stop: stop,
+            stream: !!options.stream
+        };
+        body[this.maxTokensField] = maxTokens;
+        body[this.seedField] = seed;
+
+        const response = await this.request(this.getEndpoint(), {
+            method: 'POST',
+            headers: this.getHeaders(),
+            signal: options.signal,
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            await this.throwResponseError(response);
+        }
+
+        if (options.stream) {
+            const text = await this.readEventStream(response, options.onToken,
+                chunk => chunk.choices?.[0]?.delta?.content);
+            return text || `No response from ${this.name}`;
+        }
+
+        const data = await response.json();
+        return data.choices?.[0]?.message?.content || `No response from ${this.name}`;
+    }
+}
+
+// Export the class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OpenAICompatibleProvider;
+} else {
+    window.OpenAICompatibleProvider = OpenAICompatibleProvider;
+}
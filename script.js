@@ -1,780 +1,2877 @@
-// Enhanced Chat Interface with Multi-AI Provider Support and Chat Management
-class ChatInterface {
-    constructor() {
-        // Wait for DOM to be ready
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.initialize());
-        } else {
-            this.initialize();
-        }
-    }
-
-    initialize() {
-        this.messageInput = document.getElementById('message');
-        this.sendButton = document.getElementById('send-button');
-        this.chatContainer = document.getElementById('chat');
-        this.providerSelector = document.getElementById('ai-provider');
-        this.providerIcon = document.getElementById('provider-icon');
-        this.sidebarToggle = document.getElementById('sidebar-toggle');
-        this.newChatBtn = document.getElementById('new-chat-btn');
-        this.clearAllBtn = document.getElementById('clear-all-chats');
-        this.chatSidebar = document.getElementById('chat-sidebar');
-        this.chatList = document.getElementById('chat-list');
-        this.isProcessing = false;
-
-        // Chat management
-        this.chats = [];
-        this.currentChatId = null;
-        this.saveTimeout = null; // For debouncing localStorage saves
-
-        // Initialize AI service manager
-        this.aiManager = new AIServiceManager();
-
-        this.initializeEventListeners();
-        this.loadChats();
-        this.createNewChat(); // Start with a new chat
-        this.updateProviderStatus();
-        this.updateProviderIcon();
-        this.ensureInputReady();
-        // Test connection on startup if provider has API key
-        const currentProvider = this.aiManager.getCurrentProvider();
-        if (currentProvider.config.apiKey) {
-            this.testCurrentProvider();
-        }
-
-        // Refocus input when window regains focus (Electron)
-        window.addEventListener('focus', () => this.ensureInputReady());
-    }
-
-    initializeEventListeners() {
-        // Send button click
-        this.sendButton.addEventListener('click', () => this.sendMessage());
-        // Enter key press
-        this.messageInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter' && !e.shiftKey) {
-                e.preventDefault();
-                this.sendMessage();
-            }
-        });
-        // Provider selection change
-        this.providerSelector.addEventListener('change', (e) => {
-            this.switchAIProvider(e.target.value);
-        });
-        // Chat management
-        this.sidebarToggle.addEventListener('click', () => this.toggleSidebar());
-        this.newChatBtn.addEventListener('click', () => this.createNewChat());
-        if (this.clearAllBtn) {
-            this.clearAllBtn.addEventListener('click', () => this.clearAllChats());
-        }
-        // Section tabs
-        const sectionTabs = {
-            intelligence: document.getElementById('section-intelligence'),
-            translate: document.getElementById('section-translate'),
-            settings: document.getElementById('section-settings')
-        };
-        Object.entries(sectionTabs).forEach(([name, el]) => {
-            if (!el) return;
-            el.addEventListener('click', () => this.switchSectionTab(name));
-        });
-        // Settings save
-        const saveBtn = document.getElementById('save-keys');
-        if (saveBtn) {
-            saveBtn.addEventListener('click', () => this.saveAPIKeys());
-        }
-        // Translation handlers
-        const translateBtn = document.getElementById('translate-btn');
-        const swapBtn = document.getElementById('swap-langs');
-        if (translateBtn) translateBtn.addEventListener('click', () => this.handleTranslate());
-        if (swapBtn) swapBtn.addEventListener('click', () => this.swapLanguages());
-        // Hide sidebar on outside click
-        document.addEventListener('click', (e) => {
-            this.handleDocumentClick(e);
-        });
-    }
-
-    handleDocumentClick(event) {
-        // Check if sidebar is visible and click is outside of it
-        if (!this.chatSidebar.classList.contains('chat-sidebar-hidden') &&
-            !this.chatSidebar.contains(event.target) &&
-            !this.sidebarToggle.contains(event.target)) {
-            this.hideSidebar();
-        }
-    }
-
-    hideSidebar() {
-        this.chatSidebar.classList.add('chat-sidebar-hidden');
-    }
-
-    toggleSidebar() {
-        this.chatSidebar.classList.toggle('chat-sidebar-hidden');
-    }
-
-    createNewChat() {
-        const chatId = Date.now().toString();
-        const newChat = {
-            id: chatId,
-            title: 'New Chat',
-            messages: [],
-            createdAt: new Date().toISOString(),
-            lastUpdated: new Date().toISOString()
-        };
-
-        this.chats.unshift(newChat);
-        this.currentChatId = chatId;
-        this.saveChats();
-        this.renderChatList();
-        this.loadChat(chatId);
-        // Ensure typing is possible after creating a chat
-        this.isProcessing = false;
-        if (this.messageInput) {
-            this.messageInput.disabled = false;
-            this.messageInput.removeAttribute('disabled');
-            this.messageInput.value = '';
-            this.messageInput.focus();
-        }
-        if (this.sendButton) this.sendButton.disabled = false;
-        // Always return to Intelligence view
-        if (typeof this.switchSectionTab === 'function') this.switchSectionTab('intelligence');
-        this.ensureInputReady();
-    }
-
-    loadChat(chatId) {
-        const chat = this.chats.find(c => c.id === chatId);
-        if (!chat) return;
-
-        this.currentChatId = chatId;
-
-        // Clear current chat display
-        this.chatContainer.innerHTML = '';
-
-        // Load messages
-        if (chat.messages.length > 0) {
-            chat.messages.forEach(msg => {
-                this.addMessage(msg.content, msg.sender, false); // false = don't save to history
-            });
-        }
-
-        // Update active state in sidebar
-        this.updateActiveChat();
-    }
-
-    clearCurrentChat() {
-        if (!this.currentChatId) return;
-
-        const chat = this.chats.find(c => c.id === this.currentChatId);
-        if (chat) {
-            chat.messages = [];
-            this.saveChats();
-            this.chatContainer.innerHTML = '';
-            this.addSystemMessage('**Chat cleared!** Start a new conversation.');
-        }
-    }
-
-    deleteChat(chatId) {
-        const index = this.chats.findIndex(c => c.id === chatId);
-        if (index !== -1) {
-            this.chats.splice(index, 1);
-            this.saveChats();
-            this.renderChatList();
-
-            // If we deleted the current chat, create a new one
-            if (chatId === this.currentChatId) {
-                this.createNewChat();
-            }
-        }
-    }
-
-    renderChatList() {
-        this.chatList.innerHTML = '';
-
-        this.chats.forEach(chat => {
-            const chatItem = document.createElement('div');
-            chatItem.className = `chat-item ${chat.id === this.currentChatId ? 'active' : ''}`;
-            chatItem.dataset.chatId = chat.id;
-
-            const title = chat.messages.length > 0 ?
-                chat.messages[0].content.substring(0, 30) + (chat.messages[0].content.length > 30 ? '...' : '') :
-                'New Chat';
-
-            const preview = chat.messages.length > 1 ?
-                chat.messages[1].content.substring(0, 50) + (chat.messages[1].content.length > 50 ? '...' : '') :
-                'No messages yet';
-
-            chatItem.innerHTML = `
-                <div class="chat-item-title">${title}</div>
-                <div class="chat-item-preview">${preview}</div>
-                <div class="chat-item-actions">
-                    <button onclick="chatInterface.deleteChat('${chat.id}')" title="Delete Chat">🗑️</button>
-                </div>
-            `;
-
-            chatItem.addEventListener('click', () => this.loadChat(chat.id));
-            this.chatList.appendChild(chatItem);
-        });
-    }
-
-    updateActiveChat() {
-        document.querySelectorAll('.chat-item').forEach(item => {
-            item.classList.toggle('active', item.dataset.chatId === this.currentChatId);
-        });
-    }
-
-    saveChats() {
-        // Clear existing timeout
-        if (this.saveTimeout) {
-            clearTimeout(this.saveTimeout);
-        }
-
-        // Debounce localStorage saves to prevent excessive writes
-        this.saveTimeout = setTimeout(() => {
-            try {
-                localStorage.setItem('aiSidebarChats', JSON.stringify(this.chats));
-            } catch (error) {
-                console.warn('Failed to save chats to localStorage:', error);
-            }
-        }, 100); // Wait 100ms before saving
-    }
-
-    loadChats() {
-        try {
-            const savedChats = localStorage.getItem('aiSidebarChats');
-            if (savedChats) {
-                this.chats = JSON.parse(savedChats);
-            }
-        } catch (error) {
-            console.warn('Failed to load chats from localStorage:', error);
-            this.chats = [];
-        }
-    }
-
-    switchAIProvider(provider) {
-        if (this.aiManager.setProvider(provider)) {
-            this.updateProviderStatus();
-            this.updateProviderIcon();
-
-            // Check if provider has API key configured
-            const currentProvider = this.aiManager.getCurrentProvider();
-            if (!currentProvider.config.apiKey) {
-                this.addSystemMessage(`⚠️ **No API key configured for ${provider}**\n\nPlease add your API key in \`config.js\``);
-            }
-        }
-    }
-
-    updateProviderIcon() {
-        if (!this.providerIcon) return;
-        const val = this.providerSelector?.value || 'openai';
-        const map = {
-            openai: './assets/gpt-icon.svg',
-            mistral: './assets/mistral-icon.svg',
-            gemini: './assets/gemini-icon.svg'
-        };
-        this.providerIcon.src = map[val] || map.openai;
-        this.providerIcon.alt = val;
-    }
-
-    async testCurrentProvider() {
-        const provider = this.providerSelector.value;
-
-        // Indicate testing state without changing inner content
-        this.sendButton.classList.add('loading');
-        this.sendButton.disabled = true;
-        this.updateProviderStatus();
-
-        try {
-            const result = await this.aiManager.testConnection(provider);
-
-            if (result.success) {
-                this.addSystemMessage(`✅ **${provider.charAt(0).toUpperCase() + provider.slice(1)} connection successful!**`);
-                this.updateProviderStatus('connected');
-            } else {
-                this.addSystemMessage(`❌ **${provider.charAt(0).toUpperCase() + provider.slice(1)} connection failed:**\n\n\`${result.error}\``);
-                this.updateProviderStatus('disconnected');
-            }
-        } catch (error) {
-            this.addSystemMessage(`❌ **Test failed:**\n\n\`${error.message}\``);
-            this.updateProviderStatus('disconnected');
-        } finally {
-            // Restore button state
-            this.sendButton.classList.remove('loading');
-            this.sendButton.disabled = false;
-        }
-    }
-
-    updateProviderStatus() {
-        const selectedProvider = this.providerSelector.value;
-        // Keep icon-only button; do not change inner text to preserve SVG
-        this.sendButton.setAttribute('aria-label', 'Send');
-    }
-
-    switchSection(clickedSection) {
-        // Remove selected class from all sections
-        document.querySelectorAll('.section').forEach(s => {
-            s.classList.remove('selected');
-            s.classList.add('unselected');
-        });
-
-        // Add selected class to clicked section
-        clickedSection.classList.remove('unselected');
-        clickedSection.classList.add('selected');
-
-        // Show/hide content based on section
-        const sectionText = clickedSection.querySelector('p').textContent;
-        this.showSectionContent(sectionText);
-    }
-
-    showSectionContent(sectionName) {
-        const chatSection = document.getElementById('chat');
-        const translationSection = document.getElementById('translation');
-        const inputSection = document.getElementById('input');
-
-        if (sectionName === 'intelligence') {
-            chatSection.style.display = 'flex';
-            translationSection.style.display = 'none';
-            inputSection.style.display = 'block';
-        } else if (sectionName === 'translate') {
-            chatSection.style.display = 'none';
-            translationSection.style.display = 'block';
-            inputSection.style.display = 'none';
-        } else if (sectionName === 'settings') {
-            chatSection.style.display = 'none';
-            translationSection.style.display = 'none';
-            inputSection.style.display = 'none';
-        }
-    }
-
-    async sendMessage() {
-        const message = this.messageInput.value.trim();
-        if (!message || this.isProcessing) return;
-
-        // Check if current provider has API key
-        const currentProvider = this.aiManager.getCurrentProvider();
-        if (!currentProvider.config.apiKey || currentProvider.config.apiKey.trim() === '') {
-            this.addSystemMessage(`⚠️ **Please configure your ${currentProvider.name} API key**\n\nAdd your API key in \`config.js\``);
-            return;
-        }
-
-        // Add user message to chat
-        this.addMessage(message, 'user');
-        this.messageInput.value = '';
-
-        // Show typing indicator
-        this.showTypingIndicator();
-
-        // Disable input while processing
-        this.setInputState(false);
-        this.isProcessing = true;
-
-        try {
-            // Get AI response using the service manager
-            const aiResponse = await this.aiManager.getAIResponse(message);
-
-            // Remove typing indicator and add AI response
-            this.hideTypingIndicator();
-            this.addMessage(aiResponse, 'ai');
-
-        } catch (error) {
-            console.error('Error getting AI response:', error);
-            this.hideTypingIndicator();
-            this.addMessage(`Sorry, I encountered an error: ${error.message}`, 'ai');
-        } finally {
-            this.setInputState(true);
-            this.isProcessing = false;
-        }
-
-        // Update chat title with first message
-        this.updateChatTitle(message);
-    }
-
-    updateChatTitle(firstMessage) {
-        if (!this.currentChatId) return;
-
-        const chat = this.chats.find(c => c.id === this.currentChatId);
-        if (chat && chat.messages.length === 1) { // Only update title for first message
-            chat.title = firstMessage.substring(0, 30) + (firstMessage.length > 30 ? '...' : '');
-            chat.lastUpdated = new Date().toISOString();
-            this.saveChats();
-            this.renderChatList();
-        }
-    }
-
-    addMessage(content, sender, saveToHistory = true) {
-        const messageDiv = document.createElement('div');
-        messageDiv.className = `message ${sender}-message`;
-
-        const messageContent = document.createElement('div');
-        messageContent.className = 'message-content';
-
-        // Parse markdown for AI messages, keep user messages as plain text
-        if (sender === 'ai') {
-            try {
-                // Configure marked.js options for security and styling
-                marked.setOptions({
-                    breaks: true, // Allow line breaks
-                    gfm: true,    // GitHub Flavored Markdown
-                    sanitize: false, // We'll handle sanitization manually
-                    highlight: function(code, lang) {
-                        // Basic syntax highlighting for common languages
-                        if (lang && hljs.getLanguage(lang)) {
-                            try {
-                                return hljs.highlight(code, { language: lang }).value;
-                            } catch (err) {
-                                console.warn('Highlight.js error:', err);
-                            }
-                        }
-                        return code;
-                    }
-                });
-
-                // Sanitize HTML to prevent XSS attacks
-                const sanitizedContent = this.sanitizeHTML(marked.parse(content));
-                messageContent.innerHTML = sanitizedContent;
-            } catch (error) {
-                console.warn('Markdown parsing error:', error);
-                // Fallback to plain text if markdown parsing fails
-                messageContent.textContent = content;
-            }
-        } else {
-            // User messages remain as plain text for security
-            messageContent.textContent = content;
-        }
-
-        messageDiv.appendChild(messageContent);
-        this.chatContainer.appendChild(messageDiv);
-
-        // Scroll to bottom
-        this.scrollToBottom();
-
-        // Save to current chat if requested
-        if (saveToHistory && this.currentChatId) {
-            this.saveMessageToChat(content, sender);
-        }
-    }
-
-    saveMessageToChat(content, sender) {
-        const chat = this.chats.find(c => c.id === this.currentChatId);
-        if (chat) {
-            chat.messages.push({
-                content,
-                sender,
-                timestamp: new Date().toISOString()
-            });
-            chat.lastUpdated = new Date().toISOString();
-            this.saveChats();
-        }
-    }
-
-    addSystemMessage(content) {
-        const messageDiv = document.createElement('div');
-        messageDiv.className = 'message system-message';
-
-        const messageContent = document.createElement('div');
-        messageContent.className = 'message-content';
-
-        try {
-            // Parse markdown for system messages too
-            const sanitizedContent = this.sanitizeHTML(marked.parse(content));
-            messageContent.innerHTML = sanitizedContent;
-        } catch (error) {
-            console.warn('System message markdown parsing error:', error);
-            // Fallback to plain text if markdown parsing fails
-            messageContent.textContent = content;
-        }
-
-        messageDiv.appendChild(messageContent);
-        this.chatContainer.appendChild(messageDiv);
-
-        // Scroll to bottom
-        this.scrollToBottom();
-    }
-
-    showTypingIndicator() {
-        const typingDiv = document.createElement('div');
-        typingDiv.className = 'typing-indicator';
-        typingDiv.id = 'typing-indicator';
-
-        for (let i = 0; i < 3; i++) {
-            const dot = document.createElement('div');
-            dot.className = 'typing-dot';
-            typingDiv.appendChild(dot);
-        }
-
-        this.chatContainer.appendChild(typingDiv);
-        this.scrollToBottom();
-    }
-
-    hideTypingIndicator() {
-        const typingIndicator = document.getElementById('typing-indicator');
-        if (typingIndicator) {
-            typingIndicator.remove();
-        }
-    }
-
-    setInputState(enabled) {
-        this.messageInput.disabled = !enabled;
-        if (enabled) {
-            this.messageInput.removeAttribute('disabled');
-        }
-        this.sendButton.disabled = !enabled;
-
-        if (enabled) {
-            this.messageInput.focus();
-        }
-    }
-
-    scrollToBottom() {
-        const content = document.getElementById('content');
-        content.scrollTop = content.scrollHeight;
-    }
-
-    // Sanitize HTML to prevent XSS attacks
-    sanitizeHTML(html) {
-        const allowedTags = {
-            'p': [],
-            'h1': [], 'h2': [], 'h3': [], 'h4': [], 'h5': [], 'h6': [],
-            'ul': [], 'ol': [], 'li': [],
-            'blockquote': [],
-            'code': [],
-            'pre': [],
-            'strong': [], 'b': [],
-            'em': [], 'i': [],
-            'a': ['href'],
-            'hr': [],
-            'table': [], 'thead': [], 'tbody': [], 'tr': [], 'th': [], 'td': [],
-            'img': ['src', 'alt'],
-            'br': [],
-            'span': ['class']
-        };
-
-        const allowedAttributes = {
-            'href': (value) => value.startsWith('http://') || value.startsWith('https://') || value.startsWith('#'),
-            'src': (value) => value.startsWith('http://') || value.startsWith('https://') || value.startsWith('data:'),
-            'alt': () => true,
-            'class': () => true
-        };
-
-        // Create a temporary div to parse HTML
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = html;
-
-        // Recursively sanitize nodes
-        const sanitizeNode = (node) => {
-            if (node.nodeType === Node.TEXT_NODE) {
-                return node.cloneNode();
-            }
-
-            if (node.nodeType === Node.ELEMENT_NODE) {
-                const tagName = node.tagName.toLowerCase();
-
-                // Check if tag is allowed
-                if (!allowedTags[tagName]) {
-                    return document.createTextNode(node.textContent);
-                }
-
-                // Create new element
-                const newElement = document.createElement(tagName);
-
-                // Copy allowed attributes
-                for (let attr of node.attributes) {
-                    const attrName = attr.name.toLowerCase();
-                    const attrValue = attr.value;
-
-                    if (allowedTags[tagName].includes(attrName) &&
-                        allowedAttributes[attrName] &&
-                        allowedAttributes[attrName](attrValue)) {
-                        newElement.setAttribute(attrName, attrValue);
-                    }
-                }
-
-                // Recursively sanitize child nodes
-                for (let child of node.childNodes) {
-                    const sanitizedChild = sanitizeNode(child);
-                    if (sanitizedChild) {
-                        newElement.appendChild(sanitizedChild);
-                    }
-                }
-
-                return newElement;
-            }
-
-            return null;
-        };
-
-        // Sanitize all nodes
-        const sanitizedNodes = [];
-        for (let child of tempDiv.childNodes) {
-            const sanitized = sanitizeNode(child);
-            if (sanitized) {
-                sanitizedNodes.push(sanitized);
-            }
-        }
-
-        // Convert back to HTML string
-        tempDiv.innerHTML = '';
-        sanitizedNodes.forEach(node => tempDiv.appendChild(node));
-        return tempDiv.innerHTML;
-    }
-
-    clearAllChats() {
-        if (!confirm('Clear all chats? This cannot be undone.')) return;
-        this.chats = [];
-        this.currentChatId = null;
-        this.saveChats();
-        this.renderChatList();
-        this.createNewChat();
-
-        // Ensure input is usable immediately after clearing
-        this.isProcessing = false;
-        this.hideTypingIndicator();
-        this.setInputState(true);
-        if (this.messageInput) {
-            this.messageInput.value = '';
-            this.messageInput.removeAttribute('disabled');
-            this.messageInput.focus();
-        }
-        if (this.sendButton) this.sendButton.disabled = false;
-
-        // Hide sidebar so it doesn't overlay the input
-        if (this.chatSidebar && !this.chatSidebar.classList.contains('chat-sidebar-hidden')) {
-            this.hideSidebar();
-        }
-        // Always return to Intelligence view
-        if (typeof this.switchSectionTab === 'function') this.switchSectionTab('intelligence');
-        this.ensureInputReady();
-    }
-
-    switchSectionTab(name) {
-        const tabs = ['intelligence', 'translate', 'settings'];
-        tabs.forEach(t => {
-            const el = document.getElementById(`section-${t}`);
-            if (el) {
-                el.classList.toggle('selected', t === name);
-                el.classList.toggle('unselected', t !== name);
-            }
-        });
-
-        const chat = document.getElementById('chat');
-        const translation = document.getElementById('translation');
-        const settings = document.getElementById('settings');
-        const input = document.getElementById('input');
-
-        // Always show input section regardless of the active tab
-        if (input) input.style.display = 'block';
-
-        if (name === 'intelligence') {
-            if (chat) chat.style.display = 'flex';
-            if (translation) translation.style.display = 'none';
-            if (settings) settings.style.display = 'none';
-        } else if (name === 'translate') {
-            if (chat) chat.style.display = 'none';
-            if (translation) translation.style.display = 'block';
-            if (settings) settings.style.display = 'none';
-        } else if (name === 'settings') {
-            if (chat) chat.style.display = 'none';
-            if (translation) translation.style.display = 'none';
-            if (settings) settings.style.display = 'block';
-            this.loadAPIKeysIntoForm();
-        }
-    }
-
-    loadAPIKeysIntoForm() {
-        const openai = (localStorage.getItem('openaiKey') || AI_CONFIG?.openai?.apiKey || '').trim();
-        const mistral = (localStorage.getItem('mistralKey') || AI_CONFIG?.mistral?.apiKey || '').trim();
-        const gemini = (localStorage.getItem('geminiKey') || AI_CONFIG?.gemini?.apiKey || '').trim();
-        const setIf = (id, val) => { const el = document.getElementById(id); if (el) el.value = val; };
-        setIf('openai-key', openai);
-        setIf('mistral-key', mistral);
-        setIf('gemini-key', gemini);
-    }
-
-    saveAPIKeys() {
-        const openai = (document.getElementById('openai-key')?.value || '').trim();
-        const mistral = (document.getElementById('mistral-key')?.value || '').trim();
-        const gemini = (document.getElementById('gemini-key')?.value || '').trim();
-
-        try {
-            if (openai) localStorage.setItem('openaiKey', openai); else localStorage.removeItem('openaiKey');
-            if (mistral) localStorage.setItem('mistralKey', mistral); else localStorage.removeItem('mistralKey');
-            if (gemini) localStorage.setItem('geminiKey', gemini); else localStorage.removeItem('geminiKey');
-        } catch (e) {
-            console.warn('Failed saving keys to localStorage', e);
-        }
-
-        // Reflect into AI_CONFIG if present
-        if (typeof AI_CONFIG !== 'undefined') {
-            if (AI_CONFIG.openai) AI_CONFIG.openai.apiKey = openai;
-            if (AI_CONFIG.mistral) AI_CONFIG.mistral.apiKey = mistral;
-            if (AI_CONFIG.gemini) AI_CONFIG.gemini.apiKey = gemini;
-        }
-
-        this.addSystemMessage('✅ **API keys saved locally.**');
-    }
-
-    async handleTranslate() {
-        const source = document.getElementById('translate-source')?.value || '';
-        const from = document.getElementById('source-lang')?.value || 'auto';
-        const to = document.getElementById('target-lang')?.value || 'English';
-        const output = document.getElementById('translate-output');
-        if (!source.trim()) return;
-
-        // Basic guard for API key
-        const currentProvider = this.aiManager.getCurrentProvider();
-        if (!currentProvider.config.apiKey || currentProvider.config.apiKey.trim() === '') {
-            if (output) output.textContent = `No API key configured for ${currentProvider.name}. Add one in Settings.`;
-            return;
-        }
-
-        if (output) output.textContent = 'Translating...';
-        try {
-            const result = await this.aiManager.translateText(source, from, to);
-            if (output) output.textContent = result;
-        } catch (e) {
-            if (output) output.textContent = `Translation failed: ${e.message}`;
-        }
-    }
-
-    swapLanguages() {
-        const src = document.getElementById('source-lang');
-        const dst = document.getElementById('target-lang');
-        if (!src || !dst) return;
-        const srcVal = src.value;
-        const dstVal = dst.value;
-        if (srcVal !== 'auto') {
-            src.value = dstVal;
-            dst.value = srcVal;
-        } else {
-            // if auto-detect is selected, just move target to English
-            dst.value = 'English';
-        }
-    }
-
-    ensureInputReady() {
-        try {
-            if (!this.messageInput) this.messageInput = document.getElementById('message');
-            if (!this.sendButton) this.sendButton = document.getElementById('send-button');
-            const inputEl = this.messageInput;
-            if (!inputEl) return;
-
-            // Force-enable and make interactable
-            this.isProcessing = false;
-            inputEl.disabled = false;
-            inputEl.readOnly = false;
-            inputEl.style.pointerEvents = 'auto';
-            inputEl.removeAttribute('disabled');
-            inputEl.removeAttribute('readonly');
-
-            if (this.sendButton) this.sendButton.disabled = false;
-
-            // Focus now and again after a tick (handles reflow/frame issues)
-            inputEl.focus();
-            setTimeout(() => {
-                inputEl.focus();
-            }, 0);
-        } catch (e) {
-            console.warn('ensureInputReady failed', e);
-        }
-    }
-}
-
-// Initialize the chat interface when the page loads
-let chatInterface;
-chatInterface = new ChatInterface();
+// Enhanced Chat Interface with Multi-AI Provider Support and Chat Management
+class ChatInterface {
+    constructor() {
+        // Wait for DOM to be ready
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.initialize());
+        } else {
+            this.initialize();
+        }
+    }
+
+    initialize() {
+        this.messageInput = document.getElementById('message');
+        this.sendButton = document.getElementById('send-button');
+        this.stopButton = document.getElementById('stop-button');
+        this.chatContainer = document.getElementById('chat');
+        this.providerSelector = document.getElementById('ai-provider');
+        this.providerIcon = document.getElementById('provider-icon');
+        this.modelSelector = document.getElementById('ai-model');
+        this.refreshModelsValue = '__refresh__'; // Model selector entry that reloads the list
+        this.sidebarToggle = document.getElementById('sidebar-toggle');
+        this.newChatBtn = document.getElementById('new-chat-btn');
+        this.clearAllBtn = document.getElementById('clear-all-chats');
+        this.chatSidebar = document.getElementById('chat-sidebar');
+        this.chatList = document.getElementById('chat-list');
+        this.chatSearchInput = document.getElementById('chat-search-input');
+        this.chatSearchFiltersBtn = document.getElementById('chat-search-filters-btn');
+        this.chatSearchFilters = document.getElementById('chat-search-filters');
+        this.newFolderBtn = document.getElementById('new-folder-btn');
+        this.showArchivedBtn = document.getElementById('show-archived-btn');
+        this.showTrashBtn = document.getElementById('show-trash-btn');
+        this.undoToast = document.getElementById('undo-toast');
+        this.tagFilters = document.getElementById('chat-tag-filters');
+        this.exportChatsBtn = document.getElementById('export-chats-btn');
+        this.importChatsBtn = document.getElementById('import-chats-btn');
+        this.importChatsInput = document.getElementById('import-chats-input');
+        this.fileUploadBtn = document.getElementById('file-upload-btn');
+        this.fileInput = document.getElementById('file-input');
+        this.filePreviewContainer = document.getElementById('file-preview-container');
+        this.contextMeter = document.getElementById('context-meter');
+        this.chatParamsBtn = document.getElementById('chat-params-btn');
+        this.chatParamsDrawer = document.getElementById('chat-params-drawer');
+        this.promptPalette = document.getElementById('prompt-palette');
+        // Generation parameter fields; the chat drawer ('chat-param-*') and the
+        // Settings defaults ('default-param-*') share them
+        this.generationFields = [
+            { key: 'systemPrompt', id: 'system-prompt', label: 'system prompt', type: 'text' },
+            { key: 'temperature', id: 'temperature', label: 'temperature', type: 'number', min: 0, max: 2 },
+            { key: 'topP', id: 'top-p', label: 'top P', type: 'number', min: 0, max: 1 },
+            { key: 'maxTokens', id: 'max-tokens', label: 'max output tokens', type: 'integer', min: 1 },
+            { key: 'stop', id: 'stop', label: 'stop sequences', type: 'list', placeholder: 'One per line' },
+            { key: 'seed', id: 'seed', label: 'seed', type: 'integer' }
+        ];
+        this.isProcessing = false;
+        this.activeRequest = null; // AbortController of the in-flight generation
+        this.activeRequestChatId = null; // Chat that generation belongs to
+        this.translateRequest = null;
+        this.editingCustomProviderId = null; // Custom provider loaded into the Settings form
+        this.editingPromptTemplateId = null; // Prompt template loaded into the Settings form
+
+        // Chat management
+        this.chats = [];
+        this.currentChatId = null;
+        this.chatStore = new ChatStore();
+        this.pendingSaves = new Set(); // ids of chats with changes not yet written
+        this.saveTimeout = null; // For debouncing writes
+        this.saveFailed = false; // A failed write was reported and not followed by a successful one
+        this.search = new ChatSearch(); // Full-text index of every message
+        this.folders = []; // Sidebar folders, by name
+        this.activeTags = new Set(); // Tag chips selected in the sidebar
+        this.listView = 'chats'; // What the sidebar lists: 'chats', 'archive' or 'trash'
+        // Chats in the Trash are deleted for good after this many days (0: never)
+        const retention = localStorage.getItem('trashRetentionDays');
+        this.trashRetentionDays = retention === null ? 30 : Number(retention);
+        this.undoAction = null; // What the undo toast's button does
+        this.undoTimeout = null;
+
+        // Initialize AI service manager
+        this.loadLocalServerSettings();
+        this.aiManager = new AIServiceManager();
+
+        // Replace turns that fall out of the token budget with a rolling summary
+        this.summarizeOldTurns = localStorage.getItem('summarizeOldTurns') === 'true';
+        this.summarizingChats = new Set();
+
+        // Ask the chat's model for a title after the first answer (see generateChatTitle)
+        this.generateTitles = localStorage.getItem('generateChatTitles') !== 'false';
+        this.titleRequests = new Map(); // chat id -> AbortController of its title request
+
+        // Attachments waiting to be sent with the next message
+        this.fileHandler = new FileHandler();
+        this.pendingAttachments = [];
+
+        // Sanitized markdown for AI answers
+        this.markdown = new MarkdownRenderer();
+        this.chatExport = new ChatExport(this.markdown);
+
+        // Saved prompts, inserted by typing "/" in the message box
+        this.promptLibrary = new PromptLibrary();
+        this.paletteMatches = []; // Templates listed in the palette
+        this.paletteIndex = 0;    // The highlighted one
+        this.lastSelection = '';  // Text last selected outside the message box, for {{selection}}
+
+        this.initializeEventListeners();
+        this.renderProviderOptions();
+        this.renderCustomProviderList();
+        this.renderPromptTemplateList();
+        // Start with a new chat once the saved ones are loaded
+        this.loadChats().then(() => this.createNewChat(), (error) => {
+            this.createNewChat();
+            this.addSystemMessage(`❌ **Could not load saved chats:**\n\n\`${error.message}\``);
+        });
+        this.updateProviderStatus();
+        this.updateProviderIcon();
+        this.ensureInputReady();
+        this.loadKeys();
+
+        // Refocus input when window regains focus (Electron)
+        window.addEventListener('focus', () => this.ensureInputReady());
+        // Write what the debounce is still holding back
+        window.addEventListener('beforeunload', () => this.flushSaves());
+        // The app stays open for days in the tray, so the Trash is also purged hourly
+        setInterval(() => {
+            if (this.purgeTrash() > 0) this.renderChatList();
+        }, 60 * 60 * 1000);
+    }
+
+    initializeEventListeners() {
+        // Send button click
+        this.sendButton.addEventListener('click', () => this.sendMessage());
+        // Stop button aborts the current generation
+        if (this.stopButton) {
+            this.stopButton.addEventListener('click', () => this.stopGeneration());
+        }
+        // Enter key press
+        this.messageInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.sendMessage();
+            }
+        });
+        // The box grows with its text; "/" at the start lists saved prompts
+        this.messageInput.addEventListener('input', () => {
+            this.resizeMessageInput();
+            this.updatePromptPalette();
+        });
+        this.messageInput.addEventListener('keydown', (e) => this.handlePaletteKey(e));
+        document.addEventListener('selectionchange', () => {
+            const text = window.getSelection().toString();
+            if (text.trim() && document.activeElement !== this.messageInput) this.lastSelection = text;
+        });
+        // Links, remote image placeholders, code block buttons and formulas in
+        // rendered messages, then the message action bars
+        this.chatContainer.addEventListener('click', (e) => {
+            if (!this.markdown.handleClick(e)) this.handleMessageAction(e);
+        });
+        // Escape stops a running generation
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.activeRequest) {
+                e.preventDefault();
+                this.stopGeneration();
+            }
+        });
+        // Search across all chats; results replace the chat list while a query or filter is set
+        this.chatSearchInput.addEventListener('input', () => this.renderChatList());
+        this.chatSearchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.chatSearchInput.value) {
+                e.stopPropagation();
+                this.chatSearchInput.value = '';
+                this.renderChatList();
+            }
+        });
+        this.chatSearchFiltersBtn.addEventListener('click', () => {
+            this.chatSearchFilters.hidden = !this.chatSearchFilters.hidden;
+            this.chatSearchFiltersBtn.classList.toggle('active', !this.chatSearchFilters.hidden);
+        });
+        this.chatSearchFilters.addEventListener('change', () => this.renderChatList());
+        // Folders and the archive
+        this.newFolderBtn.addEventListener('click', () => this.createFolder());
+        this.showArchivedBtn.addEventListener('click', () => this.setListView(this.listView === 'archive' ? 'chats' : 'archive'));
+        this.showTrashBtn.addEventListener('click', () => this.setListView(this.listView === 'trash' ? 'chats' : 'trash'));
+        this.undoToast.querySelector('.undo-toast-btn').addEventListener('click', () => {
+            const undo = this.undoAction;
+            this.hideUndoToast();
+            if (undo) undo();
+        });
+        // Export every chat, or import an archive
+        this.exportChatsBtn.addEventListener('click', () => {
+            this.toggleExportMenu(this.exportChatsBtn.parentElement, () => this.chats.filter(chat => !chat.deletedAt), `ai-sidebar-chats-${new Date().toISOString().slice(0, 10)}`);
+        });
+        this.importChatsBtn.addEventListener('click', () => this.importChatsInput.click());
+        this.importChatsInput.addEventListener('change', () => {
+            const file = this.importChatsInput.files[0];
+            this.importChatsInput.value = '';
+            if (file) this.importChats(file);
+        });
+        // Provider selection change
+        this.providerSelector.addEventListener('change', (e) => {
+            this.switchAIProvider(e.target.value);
+        });
+        // Model selection change; the last entry reloads the model list
+        if (this.modelSelector) {
+            this.modelSelector.addEventListener('change', (e) => {
+                if (e.target.value === this.refreshModelsValue) {
+                    e.target.value = this.aiManager.getModel();
+                    this.renderModelOptions({ refresh: true });
+                    return;
+                }
+                this.switchModel(e.target.value);
+            });
+        }
+        // File attachments: paperclip, file picker and drag & drop
+        if (this.fileUploadBtn && this.fileInput) {
+            this.fileInput.accept = this.fileHandler.getSupportedTypesString();
+            this.fileUploadBtn.addEventListener('click', () => this.fileInput.click());
+            this.fileInput.addEventListener('change', () => {
+                this.addAttachments(Array.from(this.fileInput.files));
+                this.fileInput.value = ''; // allow picking the same file again
+            });
+        }
+        const dropTarget = document.getElementById('content-wrapper');
+        if (dropTarget) {
+            this.fileHandler.createDropZone(dropTarget, (files) => this.addAttachments(files));
+        }
+        // Chat management
+        this.sidebarToggle.addEventListener('click', () => this.toggleSidebar());
+        this.newChatBtn.addEventListener('click', () => this.createNewChat());
+        if (this.clearAllBtn) {
+            this.clearAllBtn.addEventListener('click', () => this.clearAllChats());
+        }
+        // Section tabs
+        const sectionTabs = {
+            intelligence: document.getElementById('section-intelligence'),
+            translate: document.getElementById('section-translate'),
+            settings: document.getElementById('section-settings')
+        };
+        Object.entries(sectionTabs).forEach(([name, el]) => {
+            if (!el) return;
+            el.addEventListener('click', () => this.switchSectionTab(name));
+        });
+        // Settings save
+        const saveBtn = document.getElementById('save-keys');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.saveAPIKeys());
+        }
+        // Saved API keys can be removed one by one
+        document.querySelectorAll('[data-key-remove]').forEach(button => {
+            button.addEventListener('click', () => this.removeAPIKey(button.dataset.keyRemove));
+        });
+        // Custom provider form
+        const customSaveBtn = document.getElementById('custom-provider-save');
+        const customCancelBtn = document.getElementById('custom-provider-cancel');
+        if (customSaveBtn) customSaveBtn.addEventListener('click', () => this.saveCustomProviderFromForm());
+        if (customCancelBtn) customCancelBtn.addEventListener('click', () => this.resetCustomProviderForm());
+        // Prompt library
+        const promptField = (name) => document.getElementById(`prompt-template${name}`);
+        if (promptField('-save')) {
+            promptField('-save').addEventListener('click', () => this.savePromptTemplateFromForm());
+            promptField('-cancel').addEventListener('click', () => this.resetPromptTemplateForm());
+            promptField('s-export').addEventListener('click', () => this.exportPromptTemplates());
+            promptField('s-import').addEventListener('click', () => promptField('s-input').click());
+            promptField('s-input').addEventListener('change', () => {
+                const file = promptField('s-input').files[0];
+                promptField('s-input').value = '';
+                if (file) this.importPromptTemplates(file);
+            });
+        }
+        // Per-chat generation parameters, saved as soon as a field changes
+        if (this.chatParamsBtn && this.chatParamsDrawer) {
+            this.chatParamsBtn.addEventListener('click', () => this.toggleChatParams());
+            this.chatParamsDrawer.addEventListener('change', () => this.saveChatParamsFromForm());
+            const resetBtn = document.getElementById('chat-params-reset');
+            if (resetBtn) resetBtn.addEventListener('click', () => this.resetChatParams());
+        }
+        const saveDefaultsBtn = document.getElementById('save-generation-defaults');
+        if (saveDefaultsBtn) saveDefaultsBtn.addEventListener('click', () => this.saveGenerationDefaultsFromForm());
+        const summarizeToggle = document.getElementById('summarize-old-turns');
+        if (summarizeToggle) {
+            summarizeToggle.checked = this.summarizeOldTurns;
+            summarizeToggle.addEventListener('change', () => {
+                this.summarizeOldTurns = summarizeToggle.checked;
+                localStorage.setItem('summarizeOldTurns', String(this.summarizeOldTurns));
+                this.updateContextMeter();
+            });
+        }
+        const retentionInput = document.getElementById('trash-retention-days');
+        if (retentionInput) {
+            retentionInput.value = this.trashRetentionDays;
+            retentionInput.addEventListener('change', () => {
+                const days = Math.floor(Number(retentionInput.value));
+                if (!Number.isFinite(days) || days < 0) {
+                    retentionInput.value = this.trashRetentionDays;
+                    return;
+                }
+                this.trashRetentionDays = days;
+                localStorage.setItem('trashRetentionDays', String(days));
+                this.purgeTrash();
+                this.renderChatList();
+            });
+        }
+        const titlesToggle = document.getElementById('generate-chat-titles');
+        if (titlesToggle) {
+            titlesToggle.checked = this.generateTitles;
+            titlesToggle.addEventListener('change', () => {
+                this.generateTitles = titlesToggle.checked;
+                localStorage.setItem('generateChatTitles', String(this.generateTitles));
+                if (!this.generateTitles) this.titleRequests.forEach(controller => controller.abort());
+            });
+        }
+        // Translation handlers
+        const translateBtn = document.getElementById('translate-btn');
+        const swapBtn = document.getElementById('swap-langs');
+        if (translateBtn) translateBtn.addEventListener('click', () => this.handleTranslate());
+        if (swapBtn) swapBtn.addEventListener('click', () => this.swapLanguages());
+        // Hide sidebar on outside click
+        document.addEventListener('click', (e) => {
+            this.handleDocumentClick(e);
+        });
+    }
+
+    handleDocumentClick(event) {
+        // Check if sidebar is visible and click is outside of it
+        if (!this.chatSidebar.classList.contains('chat-sidebar-hidden') &&
+            !this.chatSidebar.contains(event.target) &&
+            !this.sidebarToggle.contains(event.target)) {
+            this.hideSidebar();
+        }
+    }
+
+    hideSidebar() {
+        this.chatSidebar.classList.add('chat-sidebar-hidden');
+    }
+
+    toggleSidebar() {
+        this.chatSidebar.classList.toggle('chat-sidebar-hidden');
+    }
+
+    createNewChat() {
+        const chatId = Date.now().toString();
+        const newChat = {
+            id: chatId,
+            title: 'New Chat',
+            provider: this.aiManager.currentProvider, // New chats start with the current selection
+            model: this.aiManager.getModel(),
+            messages: [],
+            activeLeafId: null, // see chat-tree.js
+            createdAt: new Date().toISOString(),
+            lastUpdated: new Date().toISOString()
+        };
+
+        this.chats.unshift(newChat);
+        this.currentChatId = chatId;
+        this.saveChat(newChat);
+        this.renderChatList();
+        this.loadChat(chatId);
+        // Ensure typing is possible after creating a chat. A running generation
+        // keeps its lock; the input is enabled again when it finishes.
+        if (!this.activeRequest) {
+            this.isProcessing = false;
+            if (this.messageInput) {
+                this.messageInput.disabled = false;
+                this.messageInput.removeAttribute('disabled');
+            }
+            if (this.sendButton) this.sendButton.disabled = false;
+        }
+        if (this.messageInput) {
+            this.messageInput.value = '';
+            this.resizeMessageInput();
+            this.messageInput.focus();
+        }
+        // Always return to Intelligence view
+        if (typeof this.switchSectionTab === 'function') this.switchSectionTab('intelligence');
+        this.ensureInputReady();
+    }
+
+    loadChat(chatId) {
+        const chat = this.chats.find(c => c.id === chatId);
+        if (!chat) return;
+
+        this.currentChatId = chatId;
+        this.applyChatModel(chat);
+
+        // Clear current chat display
+        this.chatContainer.innerHTML = '';
+
+        // Load the messages of the active branch
+        this.renderMessages(chat, ChatTree.activePath(chat));
+
+        // This chat is still waiting for a reply; the bubble comes back with the next token
+        if (this.activeRequestChatId === chatId) this.showTypingIndicator();
+
+        this.renderChatParams();
+        this.updateContextMeter();
+
+        // Update active state in sidebar
+        this.updateActiveChat();
+    }
+
+    clearCurrentChat() {
+        if (!this.currentChatId) return;
+
+        const chat = this.chats.find(c => c.id === this.currentChatId);
+        if (chat) {
+            chat.messages = [];
+            chat.activeLeafId = null;
+            this.saveChat(chat);
+            this.chatContainer.innerHTML = '';
+            this.addSystemMessage('**Chat cleared!** Start a new conversation.');
+        }
+    }
+
+    // Move a chat to the Trash; the undo toast brings it back
+    deleteChat(chatId) {
+        const chat = this.chats.find(c => c.id === chatId);
+        if (!chat || chat.deletedAt) return;
+        const wasCurrent = chatId === this.currentChatId;
+        // Nothing is left to receive the reply of a generation for this chat
+        if (this.activeRequestChatId === chatId) this.stopGeneration();
+        this.cancelChatTitle(chatId);
+
+        this.trashChats([chat]);
+        if (!chat.deletedAt) return; // it was empty
+        this.showUndoToast('Chat moved to the Trash', () => this.restoreChats([chat], wasCurrent ? chatId : null));
+    }
+
+    trashChats(chats) {
+        const deletedAt = new Date().toISOString();
+        chats.forEach(chat => {
+            // An empty chat has nothing worth restoring
+            if (chat.messages.length === 0) {
+                this.deleteChatForever(chat.id);
+                return;
+            }
+            chat.deletedAt = deletedAt;
+            this.saveChat(chat);
+        });
+        this.renderChatList();
+
+        // If the current chat went, start a new one
+        if (chats.some(chat => chat.id === this.currentChatId)) {
+            this.createNewChat();
+        }
+    }
+
+    // Take chats out of the Trash, opening openId when given
+    restoreChats(chats, openId = null) {
+        chats.filter(chat => this.chats.includes(chat)).forEach(chat => {
+            delete chat.deletedAt;
+            this.saveChat(chat);
+        });
+        this.renderChatList();
+        if (openId && this.chats.some(chat => chat.id === openId)) this.loadChat(openId);
+    }
+
+    deleteChatForever(chatId) {
+        const index = this.chats.findIndex(c => c.id === chatId);
+        if (index === -1) return;
+        if (this.activeRequestChatId === chatId) this.stopGeneration();
+
+        this.chats.splice(index, 1);
+        this.cancelChatTitle(chatId);
+        this.search.removeChat(chatId);
+        this.pendingSaves.delete(chatId);
+        this.chatStore.deleteChat(chatId).catch(error => this.reportSaveError(error));
+        if (chatId === this.currentChatId) this.createNewChat();
+    }
+
+    emptyTrash() {
+        const trashed = this.chats.filter(chat => chat.deletedAt);
+        if (trashed.length === 0 ||
+            !confirm(`Delete the ${trashed.length} chat${trashed.length === 1 ? '' : 's'} in the Trash for good? This cannot be undone.`)) {
+            return;
+        }
+        trashed.forEach(chat => this.deleteChatForever(chat.id));
+        this.renderChatList();
+    }
+
+    // Delete chats that have been in the Trash longer than the retention
+    // period. Returns how many were deleted.
+    purgeTrash() {
+        if (!(this.trashRetentionDays > 0)) return 0;
+        const cutoff = new Date(Date.now() - this.trashRetentionDays * 24 * 60 * 60 * 1000).toISOString();
+        const expired = this.chats.filter(chat => chat.deletedAt && chat.deletedAt < cutoff);
+        expired.forEach(chat => this.deleteChatForever(chat.id));
+        return expired.length;
+    }
+
+    // Short notice with an Undo button. A new one replaces it; the earlier
+    // action then stays done.
+    showUndoToast(text, undo) {
+        clearTimeout(this.undoTimeout);
+        this.undoAction = undo;
+        this.undoToast.querySelector('.undo-toast-text').textContent = text;
+        this.undoToast.hidden = false;
+        this.undoTimeout = setTimeout(() => this.hideUndoToast(), 8000);
+    }
+
+    hideUndoToast() {
+        clearTimeout(this.undoTimeout);
+        this.undoAction = null;
+        this.undoToast.hidden = true;
+    }
+
+    setListView(view) {
+        this.listView = view;
+        if (view === 'trash') this.purgeTrash();
+        this.renderChatList();
+    }
+
+    renderChatList() {
+        this.chatList.innerHTML = '';
+        if (this.isSearching()) {
+            this.renderSearchResults();
+            return;
+        }
+
+        this.renderTagFilters();
+        this.showArchivedBtn.classList.toggle('active', this.listView === 'archive');
+        this.showTrashBtn.classList.toggle('active', this.listView === 'trash');
+
+        // Most recently used first
+        const chats = this.chatsInView()
+            .filter(chat => [...this.activeTags].every(tag => (chat.tags || []).includes(tag)))
+            .sort((a, b) => (b.lastUpdated || '').localeCompare(a.lastUpdated || ''));
+
+        if (this.listView === 'trash') {
+            this.renderTrash(chats.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt)));
+            return;
+        }
+        if (this.listView === 'archive') {
+            this.renderChatGroup({ label: 'Archived', chats, empty: 'No archived chats' });
+            return;
+        }
+
+        const folderIds = new Set(this.folders.map(folder => folder.id));
+        this.renderChatGroup({
+            label: 'Pinned',
+            chats: chats.filter(chat => chat.pinned),
+            onDrop: (chat) => this.updateChat(chat, { pinned: true })
+        });
+        this.folders.forEach(folder => this.renderChatGroup({
+            folder,
+            chats: chats.filter(chat => !chat.pinned && chat.folderId === folder.id),
+            onDrop: (chat) => this.updateChat(chat, { pinned: false, folderId: folder.id })
+        }));
+
+        // Everything else by when it was last used; dropping a chat here takes it out of its folder
+        const unfiled = chats.filter(chat => !chat.pinned && !folderIds.has(chat.folderId));
+        const groups = new Map();
+        unfiled.forEach(chat => {
+            const label = this.dateGroupLabel(chat.lastUpdated);
+            if (!groups.has(label)) groups.set(label, []);
+            groups.get(label).push(chat);
+        });
+        groups.forEach((groupChats, label) => this.renderChatGroup({
+            label,
+            chats: groupChats,
+            onDrop: (chat) => this.updateChat(chat, { pinned: false, folderId: null })
+        }));
+    }
+
+    // Chats the sidebar's current view lists
+    chatsInView() {
+        return this.chats.filter(chat => this.listView === 'trash'
+            ? !!chat.deletedAt
+            : !chat.deletedAt && !!chat.archived === (this.listView === 'archive'));
+    }
+
+    renderTrash(chats) {
+        const note = document.createElement('div');
+        note.className = 'trash-note';
+        note.textContent = this.trashRetentionDays > 0
+            ? `Chats here are deleted for good after ${this.trashRetentionDays} day${this.trashRetentionDays === 1 ? '' : 's'}.`
+            : 'Chats stay here until you empty the Trash.';
+        if (chats.length > 0) {
+            const empty = document.createElement('button');
+            empty.textContent = 'Empty Trash';
+            empty.addEventListener('click', () => this.emptyTrash());
+            note.appendChild(empty);
+        }
+        this.chatList.appendChild(note);
+        this.renderChatGroup({ label: 'Trash', chats, empty: 'The Trash is empty' });
+    }
+
+    // 'Today', 'Yesterday', 'Last 7 days' or 'Older', by local calendar day
+    dateGroupLabel(iso, now = new Date()) {
+        const time = new Date(iso);
+        const daysAgo = (days) => new Date(now.getFullYear(), now.getMonth(), now.getDate() - days);
+        if (time >= daysAgo(0)) return 'Today';
+        if (time >= daysAgo(1)) return 'Yesterday';
+        if (time >= daysAgo(6)) return 'Last 7 days';
+        return 'Older';
+    }
+
+    // A titled section of the chat list. Folders always show (they are drop
+    // targets); other groups only when they have chats or an empty text.
+    renderChatGroup({ label, folder = null, chats, onDrop = null, empty = null }) {
+        if (!folder && chats.length === 0 && !empty) return;
+
+        const group = document.createElement('div');
+        group.className = `chat-group ${folder?.collapsed ? 'collapsed' : ''}`;
+
+        const header = document.createElement('div');
+        header.className = 'chat-group-header';
+        if (folder) {
+            const toggle = document.createElement('button');
+            toggle.className = 'chat-folder-toggle';
+            toggle.textContent = folder.collapsed ? '▸' : '▾';
+            toggle.title = folder.collapsed ? 'Expand folder' : 'Collapse folder';
+            toggle.addEventListener('click', () => this.updateFolder(folder, { collapsed: !folder.collapsed }));
+
+            const name = document.createElement('span');
+            name.className = 'chat-group-name';
+            name.textContent = `${folder.name} (${chats.length})`;
+
+            const actions = document.createElement('div');
+            actions.className = 'chat-group-actions';
+            const rename = document.createElement('button');
+            rename.textContent = '✏️';
+            rename.title = 'Rename folder';
+            rename.addEventListener('click', () => this.editInline(name, folder.name, 'Folder name', (value) => {
+                if (value) this.updateFolder(folder, { name: value });
+            }));
+            const remove = document.createElement('button');
+            remove.textContent = '✕';
+            remove.title = 'Delete folder (its chats are kept)';
+            remove.addEventListener('click', () => this.deleteFolder(folder.id));
+            actions.append(rename, remove);
+
+            header.append(toggle, name, actions);
+            group.dataset.folderId = folder.id;
+        } else {
+            header.textContent = label;
+        }
+        group.appendChild(header);
+
+        if (!folder?.collapsed) {
+            chats.forEach(chat => group.appendChild(this.createChatItem(chat)));
+            if (chats.length === 0 && empty) {
+                const note = document.createElement('div');
+                note.className = 'chat-group-empty';
+                note.textContent = empty;
+                group.appendChild(note);
+            }
+        }
+
+        if (onDrop) {
+            group.addEventListener('dragover', (e) => {
+                if (!e.dataTransfer.types.includes('application/x-chat-id')) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                group.classList.add('drag-over');
+            });
+            group.addEventListener('dragleave', (e) => {
+                if (!group.contains(e.relatedTarget)) group.classList.remove('drag-over');
+            });
+            group.addEventListener('drop', (e) => {
+                e.preventDefault();
+                group.classList.remove('drag-over');
+                const chat = this.chats.find(c => c.id === e.dataTransfer.getData('application/x-chat-id'));
+                if (chat) onDrop(chat);
+            });
+        }
+        this.chatList.appendChild(group);
+    }
+
+    createChatItem(chat) {
+        const chatItem = document.createElement('div');
+        chatItem.className = `chat-item ${chat.id === this.currentChatId ? 'active' : ''} ${chat.pinned ? 'pinned' : ''}`;
+        chatItem.dataset.chatId = chat.id;
+        // Chats in the Trash can only be restored or deleted for good
+        chatItem.draggable = !chat.deletedAt;
+
+        const path = ChatTree.activePath(chat);
+        const preview = chat.deletedAt ? `Deleted ${new Date(chat.deletedAt).toLocaleString()}` :
+            path.length > 1 ?
+            path[1].content.substring(0, 50) + (path[1].content.length > 50 ? '...' : '') :
+            'No messages yet';
+
+        chatItem.innerHTML = `
+            <div class="chat-item-title"></div>
+            <div class="chat-item-preview"></div>
+            <div class="chat-item-tags"></div>
+            <div class="chat-item-actions"></div>
+        `;
+        const actions = chat.deletedAt ? [
+            ['restore', '↩️', 'Restore'],
+            ['purge', '✕', 'Delete for good']
+        ] : [
+            ['rename', '✏️', 'Rename'],
+            ['pin', '📌', chat.pinned ? 'Unpin' : 'Pin to top'],
+            ['tags', '🏷️', 'Edit tags'],
+            ['export', '⬇️', 'Export'],
+            ['archive', chat.archived ? '📤' : '🗄️', chat.archived ? 'Unarchive' : 'Archive'],
+            ['delete', '🗑️', 'Move to Trash']
+        ];
+        actions.forEach(([action, icon, title]) => {
+            const button = document.createElement('button');
+            button.dataset.chatAction = action;
+            button.textContent = icon;
+            button.title = title;
+            chatItem.querySelector('.chat-item-actions').appendChild(button);
+        });
+        // Titles, message text and tags are set as text, never parsed as HTML
+        const titleEl = chatItem.querySelector('.chat-item-title');
+        titleEl.textContent = this.chatListTitle(chat);
+        if (this.titleRequests.has(chat.id)) {
+            const cancel = document.createElement('button');
+            cancel.className = 'chat-title-cancel';
+            cancel.textContent = 'naming… ✕';
+            cancel.title = 'Keep this title';
+            cancel.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.cancelChatTitle(chat.id);
+            });
+            titleEl.appendChild(cancel);
+        }
+        chatItem.querySelector('.chat-item-preview').textContent = preview;
+
+        const tagsEl = chatItem.querySelector('.chat-item-tags');
+        (chat.tags || []).forEach(tag => {
+            const chip = document.createElement('button');
+            chip.className = 'chat-tag';
+            chip.textContent = `#${tag}`;
+            chip.title = `Show chats tagged ${tag}`;
+            chip.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleTagFilter(tag);
+            });
+            tagsEl.appendChild(chip);
+        });
+
+        // No inline handlers: the Content-Security-Policy blocks them
+        chatItem.querySelector('.chat-item-actions').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-chat-action]');
+            if (!button) return;
+            e.stopPropagation();
+            switch (button.dataset.chatAction) {
+                case 'rename':
+                    this.editInline(titleEl, chat.title === 'New Chat' ? '' : chat.title, 'Chat title', (value) => {
+                        // An empty title goes back to the automatic one
+                        this.updateChat(chat, value ? { title: value, autoTitle: false } : { title: 'New Chat' });
+                    });
+                    break;
+                case 'pin':
+                    this.updateChat(chat, { pinned: !chat.pinned });
+                    break;
+                case 'tags':
+                    this.editInline(tagsEl, (chat.tags || []).join(', '), 'Tags, comma separated', (value) => {
+                        const tags = [...new Set(value.split(',').map(tag => tag.trim().replace(/^#/, '')).filter(Boolean))];
+                        this.updateChat(chat, { tags });
+                    });
+                    break;
+                case 'export':
+                    this.toggleExportMenu(chatItem, () => [chat], this.chatExport.fileName(this.chatExport.title(chat)));
+                    break;
+                case 'archive':
+                    this.updateChat(chat, { archived: !chat.archived });
+                    break;
+                case 'delete':
+                    this.deleteChat(chat.id);
+                    break;
+                case 'restore':
+                    this.restoreChats([chat]);
+                    break;
+                case 'purge':
+                    if (confirm('Delete this chat for good? This cannot be undone.')) {
+                        this.deleteChatForever(chat.id);
+                        this.renderChatList();
+                    }
+                    break;
+            }
+        });
+        chatItem.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('application/x-chat-id', chat.id);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        if (!chat.deletedAt) chatItem.addEventListener('click', () => this.loadChat(chat.id));
+        return chatItem;
+    }
+
+    // Replace an element's text with an input; Enter or leaving the field
+    // saves, Escape cancels
+    editInline(element, value, placeholder, onSave) {
+        const input = document.createElement('input');
+        input.className = 'inline-edit';
+        input.value = value;
+        input.placeholder = placeholder;
+        element.textContent = '';
+        element.appendChild(input);
+
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            if (save) onSave(input.value.trim());
+            this.renderChatList();
+        };
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+        input.focus();
+        input.select();
+    }
+
+    // Format choice under an element; getChats gives the chats to export
+    toggleExportMenu(anchor, getChats, baseName) {
+        const open = anchor.nextElementSibling?.classList.contains('export-menu')
+            ? anchor.nextElementSibling
+            : anchor.querySelector(':scope > .export-menu');
+        if (open) {
+            open.remove();
+            return;
+        }
+
+        const menu = document.createElement('div');
+        menu.className = 'export-menu';
+        [['markdown', 'Markdown'], ['html', 'HTML'], ['json', 'JSON archive']].forEach(([format, label]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                menu.remove();
+                this.exportChats(getChats(), format, baseName);
+            });
+            menu.appendChild(button);
+        });
+        menu.addEventListener('click', (e) => e.stopPropagation());
+        // Inside a chat item, or below the sidebar's button row
+        if (anchor.classList.contains('chat-item')) anchor.appendChild(menu); else anchor.after(menu);
+    }
+
+    async exportChats(chats, format, baseName) {
+        if (chats.length === 0) return;
+        const { content, extension, type } = {
+            markdown: () => ({ content: this.chatExport.toMarkdown(chats), extension: 'md', type: 'text/markdown' }),
+            html: () => ({ content: this.chatExport.toHtml(chats), extension: 'html', type: 'text/html' }),
+            json: () => ({ content: this.chatExport.toArchive(chats, this.folders), extension: 'json', type: 'application/json' })
+        }[format]();
+        try {
+            await this.saveFile(`${baseName}.${extension}`, content, type);
+        } catch (error) {
+            console.warn('Failed to export chats:', error);
+            this.addSystemMessage(`❌ **Export failed:**\n\n\`${error.message}\``);
+        }
+    }
+
+    // A native save dialog in Electron, a download otherwise
+    async saveFile(fileName, content, type) {
+        if (window.electronAPI) {
+            await window.electronAPI.saveFile(fileName, content);
+            return;
+        }
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type }));
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    // Merge an archive or a ChatGPT export into the saved chats
+    async importChats(file) {
+        try {
+            const imported = this.chatExport.parseImport(await file.text());
+            const result = this.chatExport.merge(this.chats, this.folders, imported);
+            result.folders.forEach(folder => {
+                this.chatStore.saveFolder(folder).catch(error => this.reportSaveError(error));
+            });
+            this.folders.sort((a, b) => a.name.localeCompare(b.name));
+            result.changed.forEach(chat => this.saveChat(chat));
+            this.renderChatList();
+
+            const skipped = imported.chats.length - result.changed.length;
+            this.addSystemMessage(result.changed.length === 0
+                ? `**Nothing new to import** from ${file.name}: all of its chats and messages are already here.`
+                : `✅ **Imported ${file.name}:** ${result.chats} new chat${result.chats === 1 ? '' : 's'}, ` +
+                  `${result.messages} new message${result.messages === 1 ? '' : 's'}` +
+                  (result.restored > 0 ? `, ${result.restored} chat${result.restored === 1 ? '' : 's'} restored from the Trash` : '') +
+                  (skipped > 0 ? ` (${skipped} chat${skipped === 1 ? ' was' : 's were'} already up to date)` : '') + '.');
+        } catch (error) {
+            console.warn('Failed to import chats:', error);
+            this.addSystemMessage(`❌ **Import failed:**\n\n\`${error.message}\``);
+        }
+    }
+
+    // Change a chat's sidebar fields (title, pinned, folderId, tags, archived);
+    // these do not count as using the chat, so lastUpdated stays
+    updateChat(chat, changes) {
+        if ('title' in changes) this.cancelChatTitle(chat.id);
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value === false || value === null || (Array.isArray(value) && value.length === 0)) delete chat[key];
+            else chat[key] = value;
+        });
+        this.saveChat(chat);
+        this.renderChatList();
+    }
+
+    chatListTitle(chat) {
+        if (chat.title && chat.title !== 'New Chat') return chat.title;
+        const first = ChatTree.activePath(chat)[0];
+        return first ?
+            first.content.substring(0, 30) + (first.content.length > 30 ? '...' : '') :
+            'New Chat';
+    }
+
+    // Tags of the chats in the current view as filter chips
+    renderTagFilters() {
+        const tags = new Set();
+        this.chatsInView()
+            .forEach(chat => (chat.tags || []).forEach(tag => tags.add(tag)));
+        // A filter whose tag is gone would hide everything
+        this.activeTags.forEach(tag => {
+            if (!tags.has(tag)) this.activeTags.delete(tag);
+        });
+
+        this.tagFilters.innerHTML = '';
+        [...tags].sort((a, b) => a.localeCompare(b)).forEach(tag => {
+            const chip = document.createElement('button');
+            chip.className = `chat-tag ${this.activeTags.has(tag) ? 'active' : ''}`;
+            chip.textContent = `#${tag}`;
+            chip.addEventListener('click', () => this.toggleTagFilter(tag));
+            this.tagFilters.appendChild(chip);
+        });
+        this.tagFilters.hidden = tags.size === 0;
+    }
+
+    toggleTagFilter(tag) {
+        if (this.activeTags.has(tag)) this.activeTags.delete(tag); else this.activeTags.add(tag);
+        this.renderChatList();
+    }
+
+    createFolder() {
+        const folder = { id: `folder-${ChatTree.createId()}`, name: 'New folder', createdAt: new Date().toISOString() };
+        this.folders.push(folder);
+        this.chatStore.saveFolder(folder).catch(error => this.reportSaveError(error));
+        this.listView = 'chats';
+        this.renderChatList();
+
+        // Name it right away
+        const group = [...this.chatList.querySelectorAll('.chat-group')].find(el => el.dataset.folderId === folder.id);
+        const name = group?.querySelector('.chat-group-name');
+        if (name) {
+            this.editInline(name, '', 'Folder name', (value) => {
+                if (value) this.updateFolder(folder, { name: value });
+            });
+        }
+    }
+
+    updateFolder(folder, changes) {
+        Object.assign(folder, changes);
+        this.folders.sort((a, b) => a.name.localeCompare(b.name));
+        this.chatStore.saveFolder(folder).catch(error => this.reportSaveError(error));
+        this.renderChatList();
+    }
+
+    // Delete a folder; its chats go back to the dated list
+    deleteFolder(folderId) {
+        this.folders = this.folders.filter(folder => folder.id !== folderId);
+        this.chats.filter(chat => chat.folderId === folderId).forEach(chat => {
+            delete chat.folderId;
+            this.saveChat(chat);
+        });
+        this.chatStore.deleteFolder(folderId).catch(error => this.reportSaveError(error));
+        this.renderChatList();
+    }
+
+    isSearching() {
+        const filters = this.searchFilters();
+        return this.chatSearchInput.value.trim() !== '' || Object.values(filters).some(Boolean);
+    }
+
+    // Filter values of the search panel; dates cover whole local days
+    searchFilters() {
+        const value = (id) => document.getElementById(id).value;
+        return {
+            provider: value('chat-search-provider'),
+            from: value('chat-search-from') ? new Date(`${value('chat-search-from')}T00:00:00`) : null,
+            to: value('chat-search-to') ? new Date(`${value('chat-search-to')}T23:59:59.999`) : null,
+            hasCode: document.getElementById('chat-search-code').checked
+        };
+    }
+
+    renderSearchProviderOptions() {
+        const select = document.getElementById('chat-search-provider');
+        if (!select) return;
+        const selected = select.value;
+        select.innerHTML = '<option value="">All providers</option>';
+        this.aiManager.registry.list().forEach(adapter => {
+            const option = document.createElement('option');
+            option.value = adapter.id;
+            option.textContent = adapter.label;
+            select.appendChild(option);
+        });
+        select.value = selected;
+        if (select.value !== selected) select.value = '';
+    }
+
+    // Matching messages with the query words highlighted in a snippet
+    renderSearchResults() {
+        const results = this.search.search(this.chatSearchInput.value, this.searchFilters());
+        if (results.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'chat-search-empty';
+            empty.textContent = 'No matching messages';
+            this.chatList.appendChild(empty);
+            return;
+        }
+
+        results.forEach(({ chat, msg, time, snippet }) => {
+            const item = document.createElement('div');
+            item.className = `chat-item search-result ${chat.id === this.currentChatId ? 'active' : ''}`;
+            item.dataset.chatId = chat.id;
+
+            const title = document.createElement('div');
+            title.className = 'chat-item-title';
+            title.textContent = this.chatListTitle(chat);
+
+            const meta = document.createElement('div');
+            meta.className = 'search-result-meta';
+            meta.textContent = `${msg.sender === 'user' ? 'You' : 'AI'} · ${time.toLocaleDateString()}`;
+
+            // Built from text nodes and <mark>s, never parsed as HTML
+            const text = document.createElement('div');
+            text.className = 'search-result-snippet';
+            let position = 0;
+            snippet.ranges.forEach(([start, end]) => {
+                text.appendChild(document.createTextNode(snippet.text.slice(position, start)));
+                const mark = document.createElement('mark');
+                mark.textContent = snippet.text.slice(start, end);
+                text.appendChild(mark);
+                position = end;
+            });
+            text.appendChild(document.createTextNode(snippet.text.slice(position)));
+
+            item.append(title, meta, text);
+            item.addEventListener('click', () => this.openSearchResult(chat.id, msg.id));
+            this.chatList.appendChild(item);
+        });
+    }
+
+    // Open a chat at a message; a match on another branch switches to that branch
+    openSearchResult(chatId, messageId) {
+        const chat = this.chats.find(c => c.id === chatId);
+        const msg = chat?.messages.find(m => m.id === messageId);
+        if (!msg) return;
+
+        // The branch of a chat that is generating stays put (the reply goes there)
+        if (!ChatTree.activePath(chat).includes(msg) && this.activeRequestChatId !== chat.id) {
+            chat.activeLeafId = ChatTree.latestLeaf(chat, msg.id);
+            this.saveChat(chat);
+        }
+        if (typeof this.switchSectionTab === 'function') this.switchSectionTab('intelligence');
+        this.loadChat(chat.id);
+
+        const messageDiv = [...this.chatContainer.querySelectorAll('.message')]
+            .find(div => div.dataset.messageId === msg.id);
+        if (messageDiv) {
+            messageDiv.scrollIntoView({ block: 'center' });
+            messageDiv.classList.add('search-hit');
+            setTimeout(() => messageDiv.classList.remove('search-hit'), 2000);
+        }
+    }
+
+    updateActiveChat() {
+        document.querySelectorAll('.chat-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.chatId === this.currentChatId);
+        });
+    }
+
+    // Mark a chat as changed; the changed records are written shortly after (see chat-store.js)
+    saveChat(chat) {
+        if (!chat) return;
+        this.search.indexChat(chat);
+        this.pendingSaves.add(chat.id);
+
+        // Debounce writes so streaming and quick edits write once
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+        }
+        this.saveTimeout = setTimeout(() => this.flushSaves(), 100); // Wait 100ms before saving
+    }
+
+    flushSaves() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+        const chats = this.chats.filter(chat => this.pendingSaves.has(chat.id));
+        this.pendingSaves.clear();
+
+        return Promise.all(chats.map(chat => this.chatStore.saveChat(chat).then(() => {
+            this.saveFailed = false;
+        }, (error) => {
+            // Kept pending so the next save tries again
+            this.pendingSaves.add(chat.id);
+            this.reportSaveError(error);
+        })));
+    }
+
+    // Failed writes are shown once, until a write succeeds again
+    reportSaveError(error) {
+        console.error('Failed to save chats:', error);
+        if (this.saveFailed) return;
+        this.saveFailed = true;
+        this.addSystemMessage(`❌ **Could not save chats:**\n\n\`${error.message}\`\n\nRecent changes may be lost when the app closes.`);
+    }
+
+    async loadChats() {
+        try {
+            this.chats = await this.chatStore.load();
+            this.chats.forEach(chat => this.search.indexChat(chat));
+            this.folders = await this.chatStore.loadFolders();
+            this.purgeTrash();
+        } catch (error) {
+            console.warn('Failed to load chats:', error);
+            this.chats = [];
+            this.folders = [];
+            throw error;
+        }
+    }
+
+    switchAIProvider(provider) {
+        if (this.aiManager.setProvider(provider)) {
+            this.rememberChatModel();
+            this.updateProviderStatus();
+            this.updateProviderIcon();
+            this.renderModelOptions();
+            this.renderChatParams();
+            this.updateContextMeter();
+
+            // Check if provider has API key configured
+            const currentProvider = this.aiManager.getCurrentProvider();
+            if (!this.aiManager.isProviderConfigured()) {
+                this.addSystemMessage(`⚠️ **No API key configured for ${currentProvider.label}**\n\nPlease add your API key in Settings`);
+            }
+        }
+    }
+
+    // Fill the provider selector from the registry, keeping the current choice
+    renderProviderOptions() {
+        if (!this.providerSelector) return;
+        this.providerSelector.innerHTML = '';
+
+        this.aiManager.registry.list().forEach(adapter => {
+            const option = document.createElement('option');
+            option.value = adapter.id;
+            option.textContent = adapter.label;
+            this.providerSelector.appendChild(option);
+        });
+
+        this.providerSelector.value = this.aiManager.currentProvider;
+        this.renderSearchProviderOptions();
+    }
+
+    switchModel(model) {
+        this.aiManager.setModel(model);
+        this.rememberChatModel();
+        if (this.modelSelector) this.modelSelector.title = model;
+        this.updateContextMeter();
+    }
+
+    // Store the current provider and model on the current chat so it keeps
+    // using them when it is opened again
+    rememberChatModel() {
+        const chat = this.chats.find(c => c.id === this.currentChatId);
+        if (!chat) return;
+        chat.provider = this.aiManager.currentProvider;
+        chat.model = this.aiManager.getModel();
+        this.saveChat(chat);
+    }
+
+    // Make a chat's provider and model the current selection. Chats from
+    // before per-chat models, or whose provider was removed, take the
+    // current selection instead.
+    applyChatModel(chat) {
+        if (chat.provider && this.aiManager.registry.has(chat.provider)) {
+            this.aiManager.setProvider(chat.provider, chat.model || null);
+        } else {
+            this.rememberChatModel();
+        }
+
+        if (this.providerSelector) this.providerSelector.value = this.aiManager.currentProvider;
+        this.updateProviderIcon();
+        this.renderModelOptions();
+    }
+
+    // Fill the model selector right away from the cached list (or just the
+    // model in use), then again once the provider's list has been fetched
+    async renderModelOptions({ refresh = false } = {}) {
+        if (!this.modelSelector) return;
+        const provider = this.aiManager.currentProvider;
+        this.fillModelSelector(this.aiManager.getCachedModels(provider)?.models || []);
+        if (!this.aiManager.isProviderConfigured(provider)) return;
+
+        try {
+            const models = await this.aiManager.listModels(provider, { refresh });
+            // The selection may have moved on while the list was loading
+            if (this.aiManager.currentProvider === provider) this.fillModelSelector(models);
+        } catch (error) {
+            console.warn(`Failed to list ${provider} models:`, error);
+            if (refresh) this.addSystemMessage(`⚠️ **Could not load the model list:**\n\n\`${error.message}\``);
+        }
+    }
+
+    fillModelSelector(models) {
+        const selected = this.aiManager.getModel();
+        const ids = !selected || models.includes(selected) ? models : [selected, ...models];
+
+        this.modelSelector.innerHTML = '';
+        ids.forEach(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = id;
+            this.modelSelector.appendChild(option);
+        });
+        const refreshOption = document.createElement('option');
+        refreshOption.value = this.refreshModelsValue;
+        refreshOption.textContent = '↻ Refresh list';
+        this.modelSelector.appendChild(refreshOption);
+
+        this.modelSelector.value = selected;
+        this.modelSelector.title = selected || '';
+    }
+
+    toggleChatParams(open = this.chatParamsDrawer.hidden) {
+        this.chatParamsDrawer.hidden = !open;
+        this.chatParamsBtn.setAttribute('aria-expanded', String(open));
+        if (open) {
+            this.renderChatParams();
+            document.getElementById('chat-param-system-prompt')?.focus();
+        }
+    }
+
+    // Show the current chat's parameters; empty fields show the default they fall back to
+    renderChatParams() {
+        const chat = this.chats.find(c => c.id === this.currentChatId);
+        const params = chat?.params || {};
+        if (this.chatParamsBtn) this.chatParamsBtn.classList.toggle('active', Object.keys(params).length > 0);
+        if (!this.chatParamsDrawer || this.chatParamsDrawer.hidden) return;
+
+        this.fillGenerationForm('chat-param', params, this.aiManager.resolveGenerationParams());
+        this.setFormStatus('chat-param-status', '');
+    }
+
+    saveChatParamsFromForm() {
+        const chat = this.chats.find(c => c.id === this.currentChatId);
+        if (!chat) return;
+
+        const { params, invalid } = this.readGenerationForm('chat-param');
+        if (invalid.length > 0) {
+            this.setFormStatus('chat-param-status', `Check ${invalid.join(', ')}.`, true);
+            return;
+        }
+
+        if (Object.keys(params).length > 0) chat.params = params; else delete chat.params;
+        this.saveChat(chat);
+        this.setFormStatus('chat-param-status', 'Saved for this chat.');
+        this.chatParamsBtn.classList.toggle('active', !!chat.params);
+        this.updateContextMeter();
+    }
+
+    resetChatParams() {
+        const chat = this.chats.find(c => c.id === this.currentChatId);
+        if (!chat) return;
+        delete chat.params;
+        this.saveChat(chat);
+        this.renderChatParams();
+        this.setFormStatus('chat-param-status', 'Using the defaults.');
+        this.updateContextMeter();
+    }
+
+    loadGenerationDefaultsIntoForm() {
+        const config = this.aiManager.getAdapter().config;
+        this.fillGenerationForm('default-param', this.aiManager.generationDefaults, {
+            systemPrompt: this.aiManager.defaultSystemPrompt,
+            temperature: config.temperature,
+            maxTokens: config.maxTokens
+        });
+        this.setFormStatus('default-param-status', '');
+    }
+
+    saveGenerationDefaultsFromForm() {
+        const { params, invalid } = this.readGenerationForm('default-param');
+        if (invalid.length > 0) {
+            this.setFormStatus('default-param-status', `Check ${invalid.join(', ')}.`, true);
+            return;
+        }
+
+        this.aiManager.setGenerationDefaults(params);
+        this.setFormStatus('default-param-status', 'Defaults saved.');
+        this.renderChatParams();
+        this.updateContextMeter();
+    }
+
+    // Read generation parameter fields into { params, invalid }: params has
+    // only the fields that are filled in, invalid the labels of bad values
+    readGenerationForm(prefix) {
+        const params = {};
+        const invalid = [];
+
+        this.generationFields.forEach(field => {
+            const input = document.getElementById(`${prefix}-${field.id}`);
+            if (!input) return;
+            input.classList.remove('invalid');
+            if (!input.value.trim()) return;
+
+            let value = input.value;
+            if (field.type === 'list') {
+                value = value.split('\n').map(line => line.replace(/\r$/, '')).filter(Boolean);
+            } else if (field.type === 'number' || field.type === 'integer') {
+                value = Number(value);
+                const valid = Number.isFinite(value) &&
+                    (field.type === 'number' || Number.isInteger(value)) &&
+                    (field.min === undefined || value >= field.min) &&
+                    (field.max === undefined || value <= field.max);
+                if (!valid) {
+                    input.classList.add('invalid');
+                    invalid.push(field.label);
+                    return;
+                }
+            } else {
+                value = value.trim();
+            }
+            params[field.key] = value;
+        });
+
+        return { params, invalid };
+    }
+
+    // Fill generation parameter fields; placeholders show the value that
+    // applies while a field is empty
+    fillGenerationForm(prefix, params = {}, fallbacks = {}) {
+        const format = (value) => Array.isArray(value) ? value.join('\n') : String(value);
+
+        this.generationFields.forEach(field => {
+            const input = document.getElementById(`${prefix}-${field.id}`);
+            if (!input) return;
+            const value = params[field.key];
+            const fallback = fallbacks[field.key];
+            input.value = value === undefined ? '' : format(value);
+            input.placeholder = fallback === undefined ? (field.placeholder || 'Provider default') : format(fallback);
+            input.classList.remove('invalid');
+        });
+    }
+
+    setFormStatus(id, text, isError = false) {
+        const status = document.getElementById(id);
+        if (!status) return;
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+
+    updateProviderIcon() {
+        if (!this.providerIcon) return;
+        const adapter = this.aiManager.registry.get(this.providerSelector?.value) || this.aiManager.getAdapter();
+        this.providerIcon.src = adapter.icon;
+        this.providerIcon.alt = adapter.label;
+    }
+
+    // List the custom providers in Settings with edit/remove buttons
+    renderCustomProviderList() {
+        const list = document.getElementById('custom-provider-list');
+        if (!list) return;
+        list.innerHTML = '';
+
+        this.aiManager.registry.list().filter(adapter => adapter.custom).forEach(adapter => {
+            const item = document.createElement('div');
+            item.className = 'custom-provider-item';
+
+            const details = document.createElement('div');
+            details.className = 'custom-provider-details';
+            const name = document.createElement('div');
+            name.className = 'custom-provider-name';
+            name.textContent = `${adapter.name} · ${adapter.config.model}`;
+            const url = document.createElement('div');
+            url.className = 'custom-provider-url';
+            url.textContent = adapter.getEndpoint();
+            details.append(name, url);
+
+            const editBtn = document.createElement('button');
+            editBtn.className = 'icon-btn';
+            editBtn.textContent = 'Edit';
+            editBtn.addEventListener('click', () => this.editCustomProvider(adapter.id));
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'icon-btn';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => this.removeCustomProvider(adapter.id));
+
+            item.append(details, editBtn, removeBtn);
+            list.appendChild(item);
+        });
+    }
+
+    // "Header: value" lines to a headers object
+    parseHeaderLines(text) {
+        const headers = {};
+        text.split('\n').forEach(line => {
+            const index = line.indexOf(':');
+            if (index <= 0) return;
+            const name = line.slice(0, index).trim();
+            const value = line.slice(index + 1).trim();
+            if (name) headers[name] = value;
+        });
+        return headers;
+    }
+
+    async saveCustomProviderFromForm() {
+        const field = (name) => document.getElementById(`custom-provider-${name}`);
+        const status = field('status');
+        const registry = this.aiManager.registry;
+        const apiKey = field('key').value.trim();
+        const definition = {
+            id: this.editingCustomProviderId || undefined,
+            name: field('name').value.trim(),
+            baseUrl: field('url').value.trim(),
+            model: field('model').value.trim(),
+            headers: this.parseHeaderLines(field('headers').value),
+            vision: field('vision').checked
+        };
+
+        let error = '';
+        if (!definition.name || !definition.baseUrl || !definition.model) {
+            error = 'Name, base URL and model are required.';
+        } else {
+            try {
+                const url = new URL(definition.baseUrl);
+                if (!['http:', 'https:'].includes(url.protocol)) error = 'The base URL must start with http:// or https://';
+            } catch (e) {
+                error = 'The base URL is not a valid URL.';
+            }
+        }
+        if (error) {
+            status.textContent = error;
+            status.classList.add('error');
+            return;
+        }
+
+        const previousOrigin = definition.id ? registry.getKeyOrigin(definition.id) : null;
+        const adapter = registry.saveCustomProvider(definition);
+        this.aiManager.clearModelCache(adapter.id);
+        this.resetCustomProviderForm();
+        status.textContent = `Saved ${adapter.name}.`;
+
+        // The key is bound to the server's origin: a key saved for another
+        // server is dropped rather than sent to the new one
+        const origin = registry.getKeyOrigin(adapter.id);
+        try {
+            if (apiKey) {
+                await registry.keyStore.set(adapter.id, apiKey, origin);
+            } else if (registry.keyStore.has(adapter.id) && previousOrigin !== origin) {
+                await registry.keyStore.remove(adapter.id);
+                status.textContent = `Saved ${adapter.name}. Its key was removed because the server changed; enter it again.`;
+            }
+        } catch (error) {
+            status.textContent = `Saved ${adapter.name}, but not its key: ${error.message}`;
+            status.classList.add('error');
+        }
+
+        this.renderCustomProviderList();
+        this.renderProviderOptions();
+        this.updateProviderIcon();
+        this.renderModelOptions();
+        this.updateContextMeter();
+    }
+
+    editCustomProvider(id) {
+        const adapter = this.aiManager.registry.get(id);
+        if (!adapter) return;
+        const field = (name) => document.getElementById(`custom-provider-${name}`);
+
+        this.editingCustomProviderId = id;
+        field('name').value = adapter.name;
+        field('url').value = adapter.config.baseUrl;
+        // Saved keys are never shown; an empty field keeps the key
+        const keyStore = this.aiManager.registry.keyStore;
+        field('key').value = '';
+        field('key').placeholder = keyStore.has(id) ? `Saved · ${keyStore.masked(id)} (leave empty to keep)` : '';
+        field('model').value = adapter.config.model;
+        field('headers').value = Object.entries(adapter.config.headers || {})
+            .map(([name, value]) => `${name}: ${value}`).join('\n');
+        field('vision').checked = !!adapter.config.vision;
+        field('save').textContent = 'Save provider';
+        field('cancel').hidden = false;
+        field('status').textContent = '';
+        field('name').focus();
+    }
+
+    resetCustomProviderForm() {
+        const field = (name) => document.getElementById(`custom-provider-${name}`);
+        this.editingCustomProviderId = null;
+        ['name', 'url', 'key', 'model', 'headers'].forEach(name => {
+            if (field(name)) field(name).value = '';
+        });
+        if (field('key')) field('key').placeholder = '';
+        if (field('vision')) field('vision').checked = false;
+        if (field('save')) field('save').textContent = 'Add provider';
+        if (field('cancel')) field('cancel').hidden = true;
+        if (field('status')) {
+            field('status').textContent = '';
+            field('status').classList.remove('error');
+        }
+    }
+
+    removeCustomProvider(id) {
+        const adapter = this.aiManager.registry.get(id);
+        if (!adapter || !confirm(`Remove the provider "${adapter.name}"?`)) return;
+
+        this.aiManager.registry.removeCustomProvider(id);
+        this.aiManager.clearModelCache(id);
+        if (this.editingCustomProviderId === id) this.resetCustomProviderForm();
+        // Fall back to the default provider if the removed one was selected
+        if (this.aiManager.currentProvider === id) {
+            this.aiManager.setProvider('openai');
+            this.rememberChatModel();
+        }
+        this.renderCustomProviderList();
+        this.renderProviderOptions();
+        this.updateProviderIcon();
+        this.renderModelOptions();
+        this.updateContextMeter();
+    }
+
+    // List the prompt templates in Settings with edit/remove buttons
+    renderPromptTemplateList() {
+        const list = document.getElementById('prompt-template-list');
+        if (!list) return;
+        list.innerHTML = '';
+
+        this.promptLibrary.templates.forEach(template => {
+            const item = document.createElement('div');
+            item.className = 'custom-provider-item';
+
+            const details = document.createElement('div');
+            details.className = 'custom-provider-details';
+            const name = document.createElement('div');
+            name.className = 'custom-provider-name';
+            name.textContent = template.name;
+            const text = document.createElement('div');
+            text.className = 'custom-provider-url';
+            text.textContent = template.text.replace(/\s+/g, ' ');
+            details.append(name, text);
+
+            const editBtn = document.createElement('button');
+            editBtn.className = 'icon-btn';
+            editBtn.textContent = 'Edit';
+            editBtn.addEventListener('click', () => this.editPromptTemplate(template.id));
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'icon-btn';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => this.removePromptTemplate(template.id));
+
+            item.append(details, editBtn, removeBtn);
+            list.appendChild(item);
+        });
+    }
+
+    savePromptTemplateFromForm() {
+        const field = (name) => document.getElementById(`prompt-template-${name}`);
+        const name = field('name').value.trim();
+        const text = field('text').value;
+        if (!name || !text.trim()) {
+            this.setFormStatus('prompt-template-status', 'A name and a template are required.', true);
+            return;
+        }
+
+        const template = this.promptLibrary.saveTemplate({ id: this.editingPromptTemplateId, name, text });
+        this.resetPromptTemplateForm();
+        this.setFormStatus('prompt-template-status', `Saved ${template.name}.`);
+        this.renderPromptTemplateList();
+    }
+
+    editPromptTemplate(id) {
+        const template = this.promptLibrary.get(id);
+        if (!template) return;
+        const field = (name) => document.getElementById(`prompt-template-${name}`);
+
+        this.editingPromptTemplateId = id;
+        field('name').value = template.name;
+        field('text').value = template.text;
+        field('save').textContent = 'Save template';
+        field('cancel').hidden = false;
+        this.setFormStatus('prompt-template-status', '');
+        field('name').focus();
+    }
+
+    resetPromptTemplateForm() {
+        const field = (name) => document.getElementById(`prompt-template-${name}`);
+        this.editingPromptTemplateId = null;
+        field('name').value = '';
+        field('text').value = '';
+        field('save').textContent = 'Add template';
+        field('cancel').hidden = true;
+        this.setFormStatus('prompt-template-status', '');
+    }
+
+    removePromptTemplate(id) {
+        const template = this.promptLibrary.get(id);
+        if (!template || !confirm(`Remove the prompt "${template.name}"?`)) return;
+
+        this.promptLibrary.removeTemplate(id);
+        if (this.editingPromptTemplateId === id) this.resetPromptTemplateForm();
+        this.renderPromptTemplateList();
+    }
+
+    async exportPromptTemplates() {
+        try {
+            await this.saveFile('ai-sidebar-prompts.json', this.promptLibrary.toJson(), 'application/json');
+        } catch (error) {
+            console.warn('Failed to export prompt templates:', error);
+            this.setFormStatus('prompt-template-status', `Export failed: ${error.message}`, true);
+        }
+    }
+
+    async importPromptTemplates(file) {
+        try {
+            const { added, updated } = this.promptLibrary.importJson(await file.text());
+            this.setFormStatus('prompt-template-status', added + updated === 0
+                ? `Nothing new in ${file.name}.`
+                : `Imported ${file.name}: ${added} new, ${updated} updated.`);
+            this.renderPromptTemplateList();
+        } catch (error) {
+            console.warn('Failed to import prompt templates:', error);
+            this.setFormStatus('prompt-template-status', `Import failed: ${error.message}`, true);
+        }
+    }
+
+    async testCurrentProvider() {
+        const provider = this.providerSelector.value;
+
+        // Indicate testing state without changing inner content
+        this.sendButton.classList.add('loading');
+        this.sendButton.disabled = true;
+        this.updateProviderStatus();
+
+        try {
+            const result = await this.aiManager.testConnection(provider);
+            const name = this.aiManager.getAdapter(provider).name;
+
+            if (result.success) {
+                this.addSystemMessage(`✅ **${name} connection successful!**`);
+                this.updateProviderStatus('connected');
+            } else {
+                this.addSystemMessage(`❌ **${name} connection failed:**\n\n\`${result.error}\``);
+                this.updateProviderStatus('disconnected');
+            }
+        } catch (error) {
+            this.addSystemMessage(`❌ **Test failed:**\n\n\`${error.message}\``);
+            this.updateProviderStatus('disconnected');
+        } finally {
+            // Restore button state
+            this.sendButton.classList.remove('loading');
+            this.sendButton.disabled = false;
+        }
+    }
+
+    updateProviderStatus() {
+        const selectedProvider = this.providerSelector.value;
+        // Keep icon-only button; do not change inner text to preserve SVG
+        this.sendButton.setAttribute('aria-label', 'Send');
+    }
+
+    switchSection(clickedSection) {
+        // Remove selected class from all sections
+        document.querySelectorAll('.section').forEach(s => {
+            s.classList.remove('selected');
+            s.classList.add('unselected');
+        });
+
+        // Add selected class to clicked section
+        clickedSection.classList.remove('unselected');
+        clickedSection.classList.add('selected');
+
+        // Show/hide content based on section
+        const sectionText = clickedSection.querySelector('p').textContent;
+        this.showSectionContent(sectionText);
+    }
+
+    showSectionContent(sectionName) {
+        const chatSection = document.getElementById('chat');
+        const translationSection = document.getElementById('translation');
+        const inputSection = document.getElementById('input');
+
+        if (sectionName === 'intelligence') {
+            chatSection.style.display = 'flex';
+            translationSection.style.display = 'none';
+            inputSection.style.display = 'block';
+        } else if (sectionName === 'translate') {
+            chatSection.style.display = 'none';
+            translationSection.style.display = 'block';
+            inputSection.style.display = 'none';
+        } else if (sectionName === 'settings') {
+            chatSection.style.display = 'none';
+            translationSection.style.display = 'none';
+            inputSection.style.display = 'none';
+        }
+    }
+
+    async sendMessage() {
+        const message = this.messageInput.value.trim();
+        const hasAttachments = this.pendingAttachments.length > 0;
+        if ((!message && !hasAttachments) || this.isProcessing) return;
+        if (!this.checkProviderConfigured()) return;
+
+        // Attachments are sent with this message only
+        const attachments = this.takePendingAttachments();
+        this.messageInput.value = '';
+        this.resizeMessageInput();
+        this.hidePromptPalette();
+        await this.sendPrompt(message, attachments);
+    }
+
+    // Fit the message box to its text (CSS caps the height)
+    resizeMessageInput() {
+        this.messageInput.style.height = 'auto';
+        this.messageInput.style.height = `${this.messageInput.scrollHeight}px`;
+    }
+
+    // List the templates matching "/query" while that is all the message box holds
+    updatePromptPalette() {
+        const match = this.messageInput.value.match(/^\/(\S*)$/);
+        if (!match) {
+            this.hidePromptPalette();
+            return;
+        }
+        this.paletteMatches = this.promptLibrary.search(match[1]);
+        this.paletteIndex = 0;
+        this.renderPromptPalette();
+    }
+
+    renderPromptPalette() {
+        this.promptPalette.innerHTML = '';
+        this.promptPalette.hidden = false;
+        if (this.paletteMatches.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'prompt-palette-empty';
+            empty.textContent = 'No saved prompt matches. Add templates in Settings → Prompt Library.';
+            this.promptPalette.appendChild(empty);
+            return;
+        }
+
+        this.paletteMatches.forEach((template, index) => {
+            const item = document.createElement('div');
+            item.className = 'prompt-palette-item';
+            item.classList.toggle('active', index === this.paletteIndex);
+            const name = document.createElement('div');
+            name.className = 'prompt-palette-name';
+            name.textContent = template.name;
+            const text = document.createElement('div');
+            text.className = 'prompt-palette-text';
+            text.textContent = template.text.replace(/\s+/g, ' ');
+            item.append(name, text);
+            // mousedown, so the message box keeps the focus
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.pickPromptTemplate(template);
+            });
+            this.promptPalette.appendChild(item);
+        });
+        this.promptPalette.querySelector('.active').scrollIntoView({ block: 'nearest' });
+    }
+
+    hidePromptPalette() {
+        this.paletteMatches = [];
+        this.promptPalette.hidden = true;
+        this.promptPalette.innerHTML = '';
+    }
+
+    // Arrow keys, Enter or Tab and Escape while the palette is open
+    handlePaletteKey(e) {
+        if (this.promptPalette.hidden) return;
+        if (e.key === 'Escape') {
+            // Keep the document handler from also stopping a generation
+            e.preventDefault();
+            e.stopPropagation();
+            this.hidePromptPalette();
+            return;
+        }
+        const count = this.paletteMatches.length;
+        if (count === 0) return;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            this.paletteIndex = (this.paletteIndex + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+            this.renderPromptPalette();
+        } else if ((e.key === 'Enter' || e.key === 'Tab') && !e.shiftKey) {
+            // Also keeps Enter from sending "/query"
+            e.preventDefault();
+            this.pickPromptTemplate(this.paletteMatches[this.paletteIndex]);
+        }
+    }
+
+    // Fill in a template's variables, asking for the ones that are not
+    // built in, and put the result in the message box
+    async pickPromptTemplate(template) {
+        const names = PromptLibrary.variables(template.text);
+        const values = {};
+        if (names.includes('clipboard')) values.clipboard = await this.readClipboard();
+        if (names.includes('selection')) values.selection = this.lastSelection;
+
+        const asked = names.filter(name => !this.promptLibrary.builtinVariables.includes(name));
+        if (asked.length === 0) {
+            this.insertPromptText(PromptLibrary.fill(template.text, values));
+        } else {
+            this.renderPromptVariableForm(template, asked, values);
+        }
+    }
+
+    renderPromptVariableForm(template, names, values) {
+        this.paletteMatches = [];
+        this.promptPalette.innerHTML = '';
+        this.promptPalette.hidden = false;
+
+        const form = document.createElement('form');
+        const title = document.createElement('div');
+        title.className = 'prompt-palette-name';
+        title.textContent = template.name;
+        const grid = document.createElement('div');
+        grid.className = 'settings-grid';
+        const inputs = names.map((name, index) => {
+            const label = document.createElement('label');
+            label.htmlFor = `prompt-variable-${index}`;
+            label.textContent = name;
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.id = `prompt-variable-${index}`;
+            grid.append(label, input);
+            return input;
+        });
+        const actions = document.createElement('div');
+        actions.className = 'settings-actions';
+        const cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.className = 'icon-btn';
+        cancel.textContent = 'Cancel';
+        const insert = document.createElement('button');
+        insert.type = 'submit';
+        insert.className = 'new-chat-btn';
+        insert.textContent = 'Insert';
+        actions.append(cancel, insert);
+        form.append(title, grid, actions);
+        this.promptPalette.appendChild(form);
+
+        const close = () => {
+            this.hidePromptPalette();
+            this.messageInput.focus();
+        };
+        // Enter in a field submits
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            names.forEach((name, index) => { values[name] = inputs[index].value; });
+            this.insertPromptText(PromptLibrary.fill(template.text, values));
+        });
+        form.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+            e.preventDefault();
+            e.stopPropagation();
+            close();
+        });
+        cancel.addEventListener('click', close);
+        inputs[0].focus();
+    }
+
+    insertPromptText(text) {
+        this.hidePromptPalette();
+        this.messageInput.value = text;
+        this.resizeMessageInput();
+        this.messageInput.focus();
+        this.messageInput.setSelectionRange(text.length, text.length);
+    }
+
+    async readClipboard() {
+        try {
+            return await navigator.clipboard.readText();
+        } catch (error) {
+            console.warn('Failed to read the clipboard:', error);
+            return '';
+        }
+    }
+
+    // Warn in the chat when the selected provider cannot be used yet
+    checkProviderConfigured() {
+        if (this.aiManager.isProviderConfigured()) return true;
+        const currentProvider = this.aiManager.getCurrentProvider();
+        this.addSystemMessage(`⚠️ **Please configure your ${currentProvider.label} API key**\n\nAdd your API key in Settings`);
+        return false;
+    }
+
+    // Add a user message to the current chat and ask for the reply
+    async sendPrompt(message, attachments = []) {
+        const currentProvider = this.aiManager.getCurrentProvider();
+        if (attachments.some(att => att.type === 'image') && !this.aiManager.supportsVision()) {
+            this.addSystemMessage(`⚠️ **${currentProvider.model} does not accept images.** Attached images are sent as a note only.`);
+        }
+
+        // Context comes from this chat's stored turns; the reply is saved back to
+        // the same chat (and comes from its model) even if another one is opened
+        // while it generates
+        const chatId = this.currentChatId;
+        const target = { provider: currentProvider.name, model: currentProvider.model };
+        const { history, summary } = this.getChatContext(chatId);
+
+        // Add user message to chat
+        this.addMessage(message, 'user', true, attachments);
+        this.updateChatTitle(chatId);
+
+        await this.generateReply(chatId, message, { target, history, summary, attachments });
+        this.generateChatTitle(chatId);
+    }
+
+    // Stream the reply to message into chatId, under the chat's active leaf.
+    // restoreLeafId is shown again when the request is stopped before any text.
+    async generateReply(chatId, message, { target, history, summary, attachments = [], restoreLeafId = null }) {
+        const isChatVisible = () => this.currentChatId === chatId;
+
+        // Show typing indicator
+        this.showTypingIndicator();
+
+        // Disable input while processing; the Stop button can abort the request
+        const controller = new AbortController();
+        this.activeRequest = controller;
+        this.activeRequestChatId = chatId;
+        this.setInputState(false);
+        this.setStopVisible(true);
+        this.isProcessing = true;
+
+        // The AI bubble is created on the first token and re-rendered as more arrive
+        let streamingMessage = null;
+        let pendingRender = null;
+        let latestText = '';
+
+        const onToken = (delta, fullText) => {
+            latestText = fullText;
+            // (Re)create the bubble when the chat is shown again after switching away
+            if ((!streamingMessage || !streamingMessage.isConnected) && isChatVisible()) {
+                this.hideTypingIndicator();
+                streamingMessage = this.addMessage('', 'ai', false);
+                streamingMessage.classList.add('streaming');
+            }
+            // Coalesce bursts of tokens into one render per frame
+            if (streamingMessage && !pendingRender) {
+                pendingRender = requestAnimationFrame(() => {
+                    pendingRender = null;
+                    this.updateMessageContent(streamingMessage, latestText);
+                });
+            }
+        };
+
+        // Render the final text (reusing the streaming bubble when it is still shown)
+        // and store it in the chat the request belongs to
+        const finishMessage = (text, extra = {}) => {
+            if (pendingRender) cancelAnimationFrame(pendingRender);
+            if (streamingMessage) streamingMessage.classList.remove('streaming');
+
+            const stored = this.saveMessageToChat(text, 'ai', extra, chatId);
+
+            let messageDiv = null;
+            if (isChatVisible()) {
+                this.hideTypingIndicator();
+                if (streamingMessage && streamingMessage.isConnected) {
+                    messageDiv = streamingMessage;
+                    this.updateMessageContent(messageDiv, text);
+                } else {
+                    messageDiv = this.addMessage(text, 'ai', false);
+                }
+                if (stored) this.bindMessage(messageDiv, stored, this.chats.find(c => c.id === chatId));
+            }
+            return messageDiv;
+        };
+
+        try {
+            // Get AI response using the service manager
+            const aiResponse = await this.aiManager.getAIResponse(message, {
+                ...target,
+                params: this.chats.find(c => c.id === chatId)?.params,
+                stream: true,
+                onToken,
+                history,
+                summary,
+                attachments,
+                signal: controller.signal
+            });
+
+            finishMessage(aiResponse);
+            this.updateRollingSummary(chatId);
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // Keep the partial answer and record that it was cut short
+                const partial = error.partialText || latestText;
+                if (partial) {
+                    finishMessage(partial, { interrupted: true });
+                } else {
+                    if (pendingRender) cancelAnimationFrame(pendingRender);
+                    // A stopped regeneration goes back to the answer it was replacing
+                    const chat = this.chats.find(c => c.id === chatId);
+                    if (restoreLeafId && chat) {
+                        chat.activeLeafId = restoreLeafId;
+                        this.saveChat(chat);
+                    }
+                    if (isChatVisible()) {
+                        this.hideTypingIndicator();
+                        if (restoreLeafId) this.loadChat(chatId);
+                        this.addSystemMessage('⏹️ **Generation stopped.**');
+                    }
+                }
+            } else {
+                console.error('Error getting AI response:', error);
+                // Error replies are kept in the chat but never sent back as context
+                finishMessage(`Sorry, I encountered an error: ${error.message}`, { error: true });
+            }
+        } finally {
+            // A stop may already have handed the input back for a newer request
+            if (this.activeRequest === controller) {
+                this.activeRequest = null;
+                this.activeRequestChatId = null;
+                this.setStopVisible(false);
+                this.setInputState(true);
+                this.isProcessing = false;
+            }
+        }
+    }
+
+    // Abort the in-flight generation and give the input back right away
+    stopGeneration() {
+        if (!this.activeRequest) return;
+        const controller = this.activeRequest;
+        this.activeRequest = null;
+        this.activeRequestChatId = null;
+        controller.abort();
+
+        this.setStopVisible(false);
+        this.setInputState(true);
+        this.isProcessing = false;
+    }
+
+    setStopVisible(visible) {
+        if (this.stopButton) this.stopButton.hidden = !visible;
+        if (this.sendButton) this.sendButton.hidden = visible;
+    }
+
+    // Label a message whose generation was stopped before it finished
+    markInterrupted(messageDiv) {
+        messageDiv.classList.add('interrupted');
+        if (messageDiv.querySelector('.message-note')) return;
+        const note = document.createElement('div');
+        note.className = 'message-note';
+        note.textContent = 'Stopped — response incomplete';
+        messageDiv.querySelector('.message-content').appendChild(note);
+    }
+
+    // Title an untitled chat after its first prompt; renamed chats keep their title
+    updateChatTitle(chatId) {
+        const chat = this.chats.find(c => c.id === chatId);
+        const first = chat && ChatTree.activePath(chat)[0];
+        if (!first || chat.title !== 'New Chat') return;
+
+        chat.title = first.content.substring(0, 30) + (first.content.length > 30 ? '...' : '');
+        chat.autoTitle = true; // not chosen by the user; generateChatTitle may replace it
+        this.saveChat(chat);
+        this.renderChatList();
+    }
+
+    // After a chat's first answer, replace its truncated title with one written
+    // by the chat's model. Without a key, or when the request fails, the
+    // truncated title stays.
+    async generateChatTitle(chatId) {
+        const chat = this.chats.find(c => c.id === chatId);
+        if (!this.generateTitles || !chat?.autoTitle || chat.messages.length !== 2 || this.titleRequests.has(chatId)) return;
+        const [prompt, answer] = ChatTree.activePath(chat);
+        if (!prompt || answer?.sender !== 'ai' || answer.error || !answer.content) return;
+
+        // Name it with the chat's own model (unless its provider has been removed)
+        const target = this.aiManager.registry.has(chat.provider) ? { provider: chat.provider, model: chat.model } : {};
+        if (!this.aiManager.isProviderConfigured(target.provider)) return;
+
+        const controller = new AbortController();
+        this.titleRequests.set(chatId, controller);
+        this.renderChatList();
+        try {
+            const title = await this.aiManager.generateTitle(prompt.content, answer.content, { ...target, signal: controller.signal });
+            // Cancelled, renamed or deleted in the meantime
+            if (controller.signal.aborted || !chat.autoTitle || !this.chats.includes(chat)) return;
+            chat.title = title;
+            this.saveChat(chat);
+        } catch (error) {
+            if (error.name !== 'AbortError') console.warn('Failed to generate a chat title:', error);
+        } finally {
+            this.titleRequests.delete(chatId);
+            this.renderChatList();
+        }
+    }
+
+    cancelChatTitle(chatId) {
+        this.titleRequests.get(chatId)?.abort();
+    }
+
+    addMessage(content, sender, saveToHistory = true, attachments = []) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${sender}-message`;
+        messageDiv.dataset.sender = sender;
+
+        const messageContent = document.createElement('div');
+        messageContent.className = 'message-content';
+
+        messageDiv.appendChild(messageContent);
+        this.updateMessageContent(messageDiv, content);
+        if (attachments.length > 0) {
+            messageDiv.appendChild(this.renderAttachments(attachments));
+        }
+        this.chatContainer.appendChild(messageDiv);
+
+        // Scroll to bottom
+        this.scrollToBottom();
+
+        // Save to current chat if requested
+        if (saveToHistory && this.currentChatId) {
+            const stored = this.saveMessageToChat(content, sender, attachments.length > 0 ? { attachments } : {});
+            if (stored) this.bindMessage(messageDiv, stored, this.chats.find(c => c.id === this.currentChatId));
+        }
+
+        return messageDiv;
+    }
+
+    // Add bubbles for stored messages of a chat
+    renderMessages(chat, messages) {
+        messages.forEach(msg => {
+            const messageDiv = this.addMessage(msg.content, msg.sender, false, msg.attachments || []); // false = don't save to history
+            this.bindMessage(messageDiv, msg, chat);
+        });
+    }
+
+    // Replace the bubbles from messageDiv on with the active branch of the
+    // chat from message index on, keeping the reader where they are
+    renderActivePathFrom(chat, messageDiv, index) {
+        const scroller = document.getElementById('content');
+        const scrollTop = scroller ? scroller.scrollTop : 0;
+
+        while (messageDiv.nextSibling) messageDiv.nextSibling.remove();
+        messageDiv.remove();
+        this.renderMessages(chat, ChatTree.activePath(chat).slice(index));
+
+        if (scroller) scroller.scrollTop = scrollTop;
+    }
+
+    // Tie a bubble to its stored message: id, interrupted note and action bar
+    bindMessage(messageDiv, msg, chat) {
+        messageDiv.dataset.messageId = msg.id;
+        if (msg.interrupted) this.markInterrupted(messageDiv);
+        messageDiv.querySelector('.message-actions')?.remove();
+        messageDiv.appendChild(this.renderMessageActions(msg, chat));
+    }
+
+    // Action bar of a stored message (handled by handleMessageAction). At a
+    // fork, a pager switches between the branches (‹ 2/3 ›).
+    renderMessageActions(msg, chat) {
+        const bar = document.createElement('div');
+        bar.className = 'message-actions';
+        const addButton = (parent, action, text, title) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.messageAction = action;
+            button.textContent = text;
+            button.title = title;
+            parent.appendChild(button);
+            return button;
+        };
+
+        const siblings = ChatTree.siblings(chat, msg);
+        if (siblings.length > 1) {
+            const index = siblings.indexOf(msg);
+            const pager = document.createElement('div');
+            pager.className = 'message-branches';
+            addButton(pager, 'previous', '‹', 'Previous branch').disabled = index === 0;
+            const position = document.createElement('span');
+            position.textContent = `${index + 1}/${siblings.length}`;
+            pager.appendChild(position);
+            addButton(pager, 'next', '›', 'Next branch').disabled = index === siblings.length - 1;
+            bar.appendChild(pager);
+        }
+
+        addButton(bar, 'copy', 'Copy', 'Copy as markdown');
+        if (msg.sender === 'user') addButton(bar, 'edit', 'Edit', 'Edit and resend');
+        if (msg.sender === 'ai') addButton(bar, 'regenerate', 'Regenerate', 'Ask for another answer');
+        addButton(bar, 'delete', 'Delete', msg.sender === 'user' ? 'Delete this message and its replies' : 'Delete this answer');
+        return bar;
+    }
+
+    handleMessageAction(event) {
+        const button = event.target.closest('.message-actions [data-message-action]');
+        if (!button) return;
+
+        const messageDiv = button.closest('.message');
+        const chat = this.chats.find(c => c.id === this.currentChatId);
+        const path = chat ? ChatTree.activePath(chat) : [];
+        const index = path.findIndex(m => m.id === messageDiv.dataset.messageId);
+        if (index === -1) return;
+
+        const action = button.dataset.messageAction;
+        if (action === 'copy') {
+            this.copyMessage(button, path[index]);
+            return;
+        }
+        // The chat must not change under a reply that is still being written
+        if (this.activeRequestChatId === chat.id) return;
+
+        switch (action) {
+            case 'previous':
+            case 'next':
+                this.switchBranch(chat, path[index], index, messageDiv, action === 'next' ? 1 : -1);
+                break;
+            case 'edit':
+                this.editMessage(chat, path[index], messageDiv);
+                break;
+            case 'regenerate':
+                this.regenerateMessage(chat, path, index, messageDiv);
+                break;
+            case 'delete':
+                this.deleteMessage(chat, path[index], index, messageDiv);
+                break;
+        }
+    }
+
+    async copyMessage(button, msg) {
+        try {
+            await navigator.clipboard.writeText(msg.content);
+            button.textContent = 'Copied';
+        } catch (error) {
+            console.warn('Failed to copy message:', error);
+            button.textContent = 'Copy failed';
+        }
+        setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+    }
+
+    // Show a sibling branch at a fork, continuing down its latest replies
+    switchBranch(chat, msg, index, messageDiv, step) {
+        const siblings = ChatTree.siblings(chat, msg);
+        const target = siblings[siblings.indexOf(msg) + step];
+        if (!target) return;
+
+        chat.activeLeafId = ChatTree.latestLeaf(chat, target.id);
+        this.saveChat(chat);
+        this.renderActivePathFrom(chat, messageDiv, index);
+        this.renderChatList();
+        this.updateContextMeter();
+    }
+
+    // Swap the bubble for an editor; sending it starts a new branch next to
+    // the original message and asks for a reply
+    editMessage(chat, msg, messageDiv) {
+        if (messageDiv.classList.contains('editing')) return;
+        const content = messageDiv.querySelector('.message-content');
+
+        const editor = document.createElement('div');
+        editor.className = 'message-editor';
+        const textarea = document.createElement('textarea');
+        textarea.value = msg.content;
+        textarea.rows = Math.min(10, msg.content.split('\n').length + 1);
+        const buttons = document.createElement('div');
+        buttons.className = 'message-editor-actions';
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.textContent = 'Cancel';
+        const sendButton = document.createElement('button');
+        sendButton.type = 'button';
+        sendButton.className = 'primary';
+        sendButton.textContent = 'Send';
+        buttons.append(cancelButton, sendButton);
+        editor.append(textarea, buttons);
+
+        const close = () => {
+            editor.remove();
+            content.hidden = false;
+            messageDiv.classList.remove('editing');
+        };
+        const submit = () => {
+            const text = textarea.value.trim();
+            if (!text && !(msg.attachments?.length)) return;
+            this.resendEditedMessage(chat, msg.id, text);
+        };
+
+        cancelButton.addEventListener('click', close);
+        sendButton.addEventListener('click', submit);
+        textarea.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                submit();
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                close();
+            }
+        });
+
+        messageDiv.classList.add('editing');
+        content.hidden = true;
+        content.after(editor);
+        textarea.focus();
+    }
+
+    async resendEditedMessage(chat, messageId, text) {
+        if (this.isProcessing || !this.checkProviderConfigured()) return;
+        const msg = chat.messages.find(m => m.id === messageId);
+        if (!msg) return;
+
+        // Continue from the message's parent; the original stays on its own branch
+        chat.activeLeafId = msg.parentId ?? null;
+        this.saveChat(chat);
+        this.loadChat(chat.id);
+
+        await this.sendPrompt(text, msg.attachments || []);
+        this.renderChatList();
+    }
+
+    // Ask again for an AI answer. The new answer is a sibling of this one, so
+    // the old answer and what followed it stay available as another branch.
+    async regenerateMessage(chat, path, index, messageDiv) {
+        if (this.isProcessing || !this.checkProviderConfigured()) return;
+        const prompt = path[index - 1];
+        if (!prompt || prompt.sender !== 'user') return;
+
+        const previousLeafId = chat.activeLeafId;
+        chat.activeLeafId = prompt.id;
+        this.saveChat(chat);
+        while (messageDiv.nextSibling) messageDiv.nextSibling.remove();
+        messageDiv.remove();
+
+        const currentProvider = this.aiManager.getCurrentProvider();
+        const target = { provider: currentProvider.name, model: currentProvider.model };
+        const { history, summary } = this.getChatContext(chat.id, index - 1);
+        await this.generateReply(chat.id, prompt.content, {
+            target, history, summary, attachments: prompt.attachments || [], restoreLeafId: previousLeafId
+        });
+        this.renderChatList();
+    }
+
+    // Delete a message with every branch that continues from it. A prompt goes
+    // together with its answers; asks first when more than that would go.
+    deleteMessage(chat, msg, index, messageDiv) {
+        const descendants = ChatTree.descendants(chat, msg.id);
+        const followUps = msg.sender === 'user' ? descendants.filter(d => d.parentId !== msg.id) : descendants;
+        if (followUps.length > 0 &&
+            !confirm(`Delete this message and the ${descendants.length} message${descendants.length === 1 ? '' : 's'} after it, on every branch?`)) {
+            return;
+        }
+
+        const before = { messages: [...chat.messages], activeLeafId: chat.activeLeafId };
+        const removed = ChatTree.remove(chat, msg.id);
+        chat.lastUpdated = new Date().toISOString();
+        this.saveChat(chat);
+
+        this.renderActivePathFrom(chat, messageDiv, index);
+        this.renderChatList();
+        this.updateContextMeter();
+
+        this.showUndoToast(`${removed.length} message${removed.length === 1 ? '' : 's'} deleted`, () => {
+            // Messages added since then stay
+            const added = chat.messages.filter(m => !before.messages.includes(m));
+            chat.messages = [...before.messages, ...added];
+            chat.activeLeafId = added.length > 0 ? chat.activeLeafId : before.activeLeafId;
+            this.saveChat(chat);
+            this.renderChatList();
+            if (chat.id === this.currentChatId) this.loadChat(chat.id);
+        });
+    }
+
+    // Thumbnails and file chips shown under a message that carried attachments
+    renderAttachments(attachments) {
+        const list = document.createElement('div');
+        list.className = 'message-attachments';
+
+        attachments.forEach(att => {
+            const item = document.createElement('div');
+            item.className = `message-attachment ${att.type}`;
+            item.title = `${att.filename} (${this.fileHandler.formatFileSize(att.size)})`;
+
+            if (att.type === 'image') {
+                const img = document.createElement('img');
+                img.src = `data:${att.mimeType};base64,${att.base64}`;
+                img.alt = att.filename;
+                item.appendChild(img);
+            } else {
+                item.textContent = `📄 ${att.filename}`;
+            }
+            list.appendChild(item);
+        });
+
+        return list;
+    }
+
+    // Validate and process picked or dropped files, then show their previews
+    async addAttachments(files) {
+        for (const file of files) {
+            const validation = this.fileHandler.validateFile(file);
+            if (!validation.valid) {
+                this.addSystemMessage(`⚠️ **Cannot attach ${file.name}:** ${validation.errors.join(', ')}`);
+                continue;
+            }
+
+            try {
+                const data = this.fileHandler.isImage(file)
+                    ? await this.fileHandler.processImageForAI(file)
+                    : await this.fileHandler.processDocumentForAI(file);
+
+                const preview = this.fileHandler.createFilePreview(file, data, () => {
+                    this.pendingAttachments = this.pendingAttachments.filter(p => p.data !== data);
+                });
+                this.pendingAttachments.push({ data, preview });
+                if (this.filePreviewContainer) this.filePreviewContainer.appendChild(preview);
+            } catch (error) {
+                console.warn('Failed to process attachment:', error);
+                this.addSystemMessage(`⚠️ **Cannot attach ${file.name}:** ${error.message}`);
+            }
+        }
+        this.ensureInputReady();
+    }
+
+    // Hand over the pending attachments and clear their previews
+    takePendingAttachments() {
+        const attachments = this.pendingAttachments.map(p => p.data);
+        this.pendingAttachments.forEach(p => p.preview.remove());
+        this.pendingAttachments = [];
+        return attachments;
+    }
+
+    // Re-render the content of a message created by addMessage (used while streaming)
+    updateMessageContent(messageDiv, content) {
+        const messageContent = messageDiv.querySelector('.message-content');
+        if (!messageContent) return;
+
+        // Only follow the output if the user has not scrolled up to read
+        const scroller = document.getElementById('content');
+        const stickToBottom = scroller &&
+            scroller.scrollHeight - scroller.scrollTop - scroller.clientHeight < 80;
+
+        // Parse markdown for AI messages, keep user messages as plain text
+        if (messageDiv.dataset.sender === 'ai') {
+            try {
+                messageContent.innerHTML = this.renderMarkdown(content);
+                this.markdown.enhance(messageContent, { streaming: messageDiv.classList.contains('streaming') });
+            } catch (error) {
+                console.warn('Markdown parsing error:', error);
+                // Fallback to plain text if markdown parsing fails
+                messageContent.textContent = content;
+            }
+        } else {
+            // User messages remain as plain text for security
+            messageContent.textContent = content;
+        }
+
+        if (stickToBottom) this.scrollToBottom();
+    }
+
+    // Convert markdown to sanitized HTML (see markdown-renderer.js)
+    renderMarkdown(content) {
+        return this.markdown.render(content);
+    }
+
+    // Add a message under the chat's active leaf. Returns the stored message,
+    // or null when the chat no longer exists.
+    saveMessageToChat(content, sender, extra = {}, chatId = this.currentChatId) {
+        const chat = this.chats.find(c => c.id === chatId);
+        if (!chat) return null;
+
+        const msg = ChatTree.append(chat, {
+            id: ChatTree.createId(),
+            content,
+            sender,
+            timestamp: new Date().toISOString(),
+            ...extra
+        });
+        chat.lastUpdated = new Date().toISOString();
+        this.saveChat(chat);
+        if (chatId === this.currentChatId) this.updateContextMeter();
+        return msg;
+    }
+
+    // Messages of a chat's active branch (before index end) that go to the
+    // provider as context; error replies are left out
+    getContextMessages(chat, end = undefined) {
+        return ChatTree.activePath(chat)
+            .slice(0, end)
+            .filter(msg => !msg.error && (msg.sender === 'user' || msg.sender === 'ai'));
+    }
+
+    // History to send for a chat, in the { role, content, attachments } shape
+    // the AI manager expects. Turns already folded into its rolling summary are
+    // left out and the summary text goes along instead; a summary written for
+    // another branch does not apply. messages holds the stored turns of history.
+    getChatContext(chatId, end = undefined) {
+        const chat = this.chats.find(c => c.id === chatId);
+        if (!chat) return { history: [], summary: '', messages: [] };
+
+        const all = this.getContextMessages(chat, end);
+        const summary = chat.contextSummary;
+        const covered = summary ? all.findIndex(msg => msg.id === summary.throughId) + 1 : 0;
+        const messages = all.slice(covered);
+        return {
+            history: messages.map(msg => ({
+                role: msg.sender === 'user' ? 'user' : 'assistant',
+                content: msg.content,
+                attachments: msg.attachments || []
+            })),
+            summary: covered > 0 ? summary.text : '',
+            messages
+        };
+    }
+
+    // After a reply, fold turns that no longer fit in the token budget into the
+    // chat's rolling summary so the next request still knows about them
+    async updateRollingSummary(chatId) {
+        if (!this.summarizeOldTurns) return;
+        const chat = this.chats.find(c => c.id === chatId);
+        if (!chat || this.summarizingChats.has(chatId)) return;
+
+        const { history, summary, messages } = this.getChatContext(chatId);
+        // Summarize with the chat's own model (unless its provider has been removed)
+        const target = this.aiManager.registry.has(chat.provider) ? { provider: chat.provider, model: chat.model } : {};
+        const { droppedCount } = this.aiManager.measureContext(history, { summary, params: chat.params, ...target });
+        if (droppedCount === 0) return;
+
+        this.summarizingChats.add(chatId);
+        try {
+            const text = await this.aiManager.summarizeConversation(history.slice(0, droppedCount), summary, target);
+            chat.contextSummary = {
+                text,
+                throughId: messages[droppedCount - 1].id, // last message the summary covers
+                updatedAt: new Date().toISOString()
+            };
+            this.saveChat(chat);
+        } catch (error) {
+            console.warn('Failed to update conversation summary:', error);
+        } finally {
+            this.summarizingChats.delete(chatId);
+            if (chatId === this.currentChatId) this.updateContextMeter();
+        }
+    }
+
+    // Show how much of the model's token budget the current chat uses
+    updateContextMeter() {
+        if (!this.contextMeter) return;
+        const { history, summary } = this.getChatContext(this.currentChatId);
+        const params = this.chats.find(c => c.id === this.currentChatId)?.params;
+        const usage = this.aiManager.measureContext(history, { summary, params });
+        const percent = usage.budget > 0 ? Math.min(100, Math.round(usage.usedTokens / usage.budget * 100)) : 100;
+        const format = (n) => n >= 1000 ? `${(n / 1000).toFixed(1)}k` : String(n);
+
+        this.contextMeter.querySelector('.context-meter-label').textContent =
+            `Context: ~${format(usage.usedTokens)} / ${format(usage.budget)} tokens (${percent}%)`;
+        const fill = this.contextMeter.querySelector('.context-meter-fill');
+        fill.style.width = `${percent}%`;
+        fill.classList.toggle('warn', percent >= 80);
+
+        const notes = [];
+        if (summary) notes.push('older messages are summarized');
+        if (usage.droppedCount > 0) {
+            notes.push(`${usage.droppedCount} older message${usage.droppedCount === 1 ? '' : 's'} no longer fit${this.summarizeOldTurns ? ' (summary updates after the next reply)' : ''}`);
+        }
+        this.contextMeter.querySelector('.context-meter-note').textContent = notes.join('; ');
+    }
+
+    addSystemMessage(content) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'message system-message';
+
+        const messageContent = document.createElement('div');
+        messageContent.className = 'message-content';
+
+        try {
+            // Parse markdown for system messages too
+            messageContent.innerHTML = this.renderMarkdown(content);
+        } catch (error) {
+            console.warn('System message markdown parsing error:', error);
+            // Fallback to plain text if markdown parsing fails
+            messageContent.textContent = content;
+        }
+
+        messageDiv.appendChild(messageContent);
+        this.chatContainer.appendChild(messageDiv);
+
+        // Scroll to bottom
+        this.scrollToBottom();
+    }
+
+    showTypingIndicator() {
+        const typingDiv = document.createElement('div');
+        typingDiv.className = 'typing-indicator';
+        typingDiv.id = 'typing-indicator';
+
+        for (let i = 0; i < 3; i++) {
+            const dot = document.createElement('div');
+            dot.className = 'typing-dot';
+            typingDiv.appendChild(dot);
+        }
+
+        this.chatContainer.appendChild(typingDiv);
+        this.scrollToBottom();
+    }
+
+    hideTypingIndicator() {
+        const typingIndicator = document.getElementById('typing-indicator');
+        if (typingIndicator) {
+            typingIndicator.remove();
+        }
+    }
+
+    setInputState(enabled) {
+        this.messageInput.disabled = !enabled;
+        if (enabled) {
+            this.messageInput.removeAttribute('disabled');
+        }
+        this.sendButton.disabled = !enabled;
+
+        if (enabled) {
+            this.messageInput.focus();
+        }
+    }
+
+    scrollToBottom() {
+        const content = document.getElementById('content');
+        content.scrollTop = content.scrollHeight;
+    }
+
+    // Move every chat to the Trash; the undo toast brings them back
+    clearAllChats() {
+        const chats = this.chats.filter(chat => !chat.deletedAt);
+        if (chats.length === 0) return;
+        const currentChatId = this.currentChatId;
+        this.stopGeneration();
+        this.titleRequests.forEach(controller => controller.abort());
+        this.trashChats(chats);
+        const trashed = chats.filter(chat => chat.deletedAt);
+        if (trashed.length > 0) {
+            this.showUndoToast(`${trashed.length} chat${trashed.length === 1 ? '' : 's'} moved to the Trash`,
+                () => this.restoreChats(trashed, currentChatId));
+        }
+
+        // Ensure input is usable immediately after clearing
+        this.isProcessing = false;
+        this.hideTypingIndicator();
+        this.setInputState(true);
+        if (this.messageInput) {
+            this.messageInput.value = '';
+            this.resizeMessageInput();
+            this.messageInput.removeAttribute('disabled');
+            this.messageInput.focus();
+        }
+        if (this.sendButton) this.sendButton.disabled = false;
+
+        // Hide sidebar so it doesn't overlay the input
+        if (this.chatSidebar && !this.chatSidebar.classList.contains('chat-sidebar-hidden')) {
+            this.hideSidebar();
+        }
+        // Always return to Intelligence view
+        if (typeof this.switchSectionTab === 'function') this.switchSectionTab('intelligence');
+        this.ensureInputReady();
+    }
+
+    switchSectionTab(name) {
+        const tabs = ['intelligence', 'translate', 'settings'];
+        tabs.forEach(t => {
+            const el = document.getElementById(`section-${t}`);
+            if (el) {
+                el.classList.toggle('selected', t === name);
+                el.classList.toggle('unselected', t !== name);
+            }
+        });
+
+        const chat = document.getElementById('chat');
+        const translation = document.getElementById('translation');
+        const settings = document.getElementById('settings');
+        const input = document.getElementById('input');
+
+        // Always show input section regardless of the active tab
+        if (input) input.style.display = 'block';
+
+        if (name === 'intelligence') {
+            if (chat) chat.style.display = 'flex';
+            if (translation) translation.style.display = 'none';
+            if (settings) settings.style.display = 'none';
+        } else if (name === 'translate') {
+            if (chat) chat.style.display = 'none';
+            if (translation) translation.style.display = 'block';
+            if (settings) settings.style.display = 'none';
+        } else if (name === 'settings') {
+            if (chat) chat.style.display = 'none';
+            if (translation) translation.style.display = 'none';
+            if (settings) settings.style.display = 'block';
+            this.loadAPIKeysIntoForm();
+            this.loadGenerationDefaultsIntoForm();
+        }
+    }
+
+    // Load which providers have a saved key (moving keys earlier versions kept
+    // in plain text into secure storage first), then use them
+    async loadKeys() {
+        const registry = this.aiManager.registry;
+        try {
+            await registry.keyStore.load();
+            await registry.migrateLegacyKeys();
+        } catch (error) {
+            console.warn('Failed to load API keys:', error);
+            this.addSystemMessage(`⚠️ **Could not load the saved API keys:**\n\n\`${error.message}\``);
+        }
+
+        this.renderModelOptions();
+        // Test connection on startup if provider has API key
+        if (this.aiManager.isProviderConfigured()) {
+            this.testCurrentProvider();
+        }
+    }
+
+    // Keys are never put back into the form: a saved one shows up masked as
+    // the placeholder, and an empty field keeps it
+    loadAPIKeysIntoForm() {
+        const keyStore = this.aiManager.registry.keyStore;
+        document.querySelectorAll('input[data-key-provider]').forEach(input => {
+            const provider = input.dataset.keyProvider;
+            if (input.dataset.placeholder === undefined) input.dataset.placeholder = input.placeholder;
+            input.value = '';
+            input.placeholder = keyStore.has(provider) ? `Saved · ${keyStore.masked(provider)}` : input.dataset.placeholder;
+        });
+        document.querySelectorAll('[data-key-remove]').forEach(button => {
+            button.hidden = !keyStore.has(button.dataset.keyRemove);
+        });
+
+        const setIf = (id, val) => { const el = document.getElementById(id); if (el) el.value = val; };
+        setIf('ollama-url', AI_CONFIG?.ollama?.baseUrl || '');
+        setIf('ollama-model', AI_CONFIG?.ollama?.model || '');
+    }
+
+    // Apply the saved Ollama server URL and model (not secrets, so they are
+    // restored on startup)
+    loadLocalServerSettings() {
+        if (typeof AI_CONFIG === 'undefined' || !AI_CONFIG.ollama) return;
+        const baseUrl = localStorage.getItem('ollamaBaseUrl');
+        const model = localStorage.getItem('ollamaModel');
+        if (baseUrl) AI_CONFIG.ollama.baseUrl = baseUrl;
+        if (model) AI_CONFIG.ollama.model = model;
+    }
+
+    async saveAPIKeys() {
+        const keyStore = this.aiManager.registry.keyStore;
+        const ollamaUrl = (document.getElementById('ollama-url')?.value || '').trim();
+        const ollamaModel = (document.getElementById('ollama-model')?.value || '').trim();
+
+        try {
+            if (ollamaUrl) localStorage.setItem('ollamaBaseUrl', ollamaUrl); else localStorage.removeItem('ollamaBaseUrl');
+            if (ollamaModel) localStorage.setItem('ollamaModel', ollamaModel); else localStorage.removeItem('ollamaModel');
+        } catch (e) {
+            console.warn('Failed saving Ollama settings to localStorage', e);
+        }
+        if (typeof AI_CONFIG !== 'undefined' && AI_CONFIG.ollama) {
+            if (ollamaUrl) AI_CONFIG.ollama.baseUrl = ollamaUrl;
+            if (ollamaModel) AI_CONFIG.ollama.model = ollamaModel;
+        }
+
+        // Only filled-in fields replace a key; empty ones keep the saved key
+        try {
+            for (const input of document.querySelectorAll('input[data-key-provider]')) {
+                const key = input.value.trim();
+                if (key) await keyStore.set(input.dataset.keyProvider, key);
+            }
+        } catch (error) {
+            this.addSystemMessage(`❌ **Could not save API keys:**\n\n\`${error.message}\``);
+            return;
+        } finally {
+            this.loadAPIKeysIntoForm();
+        }
+
+        // New keys or server URLs can change which models are available
+        this.aiManager.clearModelCache();
+        this.renderModelOptions();
+
+        this.addSystemMessage(keyStore.isPersistent()
+            ? '✅ **API keys saved** (encrypted with the system keychain).'
+            : '✅ **API keys set for this session.** Outside the desktop app they are kept only until the page is reloaded.');
+    }
+
+    async removeAPIKey(provider) {
+        try {
+            await this.aiManager.registry.keyStore.remove(provider);
+        } catch (error) {
+            this.addSystemMessage(`❌ **Could not remove the API key:**\n\n\`${error.message}\``);
+        }
+        this.loadAPIKeysIntoForm();
+        this.aiManager.clearModelCache(provider);
+        this.renderModelOptions();
+    }
+
+    async handleTranslate() {
+        // While a translation is running the button acts as Cancel
+        if (this.translateRequest) {
+            this.translateRequest.abort();
+            return;
+        }
+
+        const source = document.getElementById('translate-source')?.value || '';
+        const from = document.getElementById('source-lang')?.value || 'auto';
+        const to = document.getElementById('target-lang')?.value || 'English';
+        const output = document.getElementById('translate-output');
+        if (!source.trim()) return;
+
+        // Basic guard for API key
+        const currentProvider = this.aiManager.getCurrentProvider();
+        if (!this.aiManager.isProviderConfigured()) {
+            if (output) output.textContent = `No API key configured for ${currentProvider.label}. Add one in Settings.`;
+            return;
+        }
+
+        const translateBtn = document.getElementById('translate-btn');
+        const controller = new AbortController();
+        this.translateRequest = controller;
+        if (translateBtn) translateBtn.textContent = 'Cancel';
+
+        if (output) output.textContent = 'Translating...';
+        try {
+            const result = await this.aiManager.translateText(source, from, to, { signal: controller.signal });
+            if (output) output.textContent = result;
+        } catch (e) {
+            if (output) {
+                output.textContent = e.name === 'AbortError' ? 'Translation cancelled.' : `Translation failed: ${e.message}`;
+            }
+        } finally {
+            this.translateRequest = null;
+            if (translateBtn) translateBtn.textContent = 'Translate';
+        }
+    }
+
+    swapLanguages() {
+        const src = document.getElementById('source-lang');
+        const dst = document.getElementById('target-lang');
+        if (!src || !dst) return;
+        const srcVal = src.value;
+        const dstVal = dst.value;
+        if (srcVal !== 'auto') {
+            src.value = dstVal;
+            dst.value = srcVal;
+        } else {
+            // if auto-detect is selected, just move target to English
+            dst.value = 'English';
+        }
+    }
+
+    ensureInputReady() {
+        try {
+            if (!this.messageInput) this.messageInput = document.getElementById('message');
+            if (!this.sendButton) this.sendButton = document.getElementById('send-button');
+            const inputEl = this.messageInput;
+            if (!inputEl) return;
+
+            // Force-enable and make interactable (a running generation keeps its lock)
+            if (!this.activeRequest) {
+                this.isProcessing = false;
+                inputEl.disabled = false;
+                inputEl.removeAttribute('disabled');
+                if (this.sendButton) this.sendButton.disabled = false;
+            }
+            inputEl.readOnly = false;
+            inputEl.style.pointerEvents = 'auto';
+            inputEl.removeAttribute('readonly');
+
+            // Focus now and again after a tick (handles reflow/frame issues)
+            inputEl.focus();
+            setTimeout(() => {
+                inputEl.focus();
+            }, 0);
+        } catch (e) {
+            console.warn('ensureInputReady failed', e);
+        }
+    }
+}
+
+// Initialize the chat interface when the page loads
+let chatInterface;
+chatInterface = new ChatInterface();
@@ -0,0 +1,104 @@
+// Secure API key storage (main process)
+// Keys are encrypted with Electron safeStorage (OS keychain / DPAPI / libsecret)
+// and written to api-keys.json in the user data folder. The page can save and
+// remove keys and see masked previews; only provider-proxy.js reads them.
+
+const { app, ipcMain, safeStorage } = require('electron');
+const fs = require('fs');
+const path = require('path');
+
+let entries = null; // provider id -> { key: base64 ciphertext, origin }
+
+function storePath() {
+  return path.join(app.getPath('userData'), 'api-keys.json');
+}
+
+function loadEntries() {
+  if (entries) return entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(storePath(), 'utf8'));
+  } catch (error) {
+    entries = {};
+  }
+  return entries;
+}
+
+function saveEntries() {
+  fs.writeFileSync(storePath(), JSON.stringify(entries, null, 2), { mode: 0o600 });
+}
+
+// Enough of a key to recognise it, never enough to use it
+function maskKey(key) {
+  if (key.length <= 12) return '••••';
+  return `${key.slice(0, 4)}…${key.slice(-4)}`;
+}
+
+// Decrypted key of a provider, or '' when there is none
+function getKey(provider) {
+  const entry = loadEntries()[provider];
+  if (!entry) return '';
+  try {
+    return safeStorage.decryptString(Buffer.from(entry.key, 'base64'));
+  } catch (error) {
+    console.warn(`Failed to decrypt the ${provider} API key:`, error);
+    return '';
+  }
+}
+
+// Origin a custom provider's key may be sent to (null for built-ins)
+function getKeyOrigin(provider) {
+  return loadEntries()[provider]?.origin || null;
+}
+
+// { provider id: masked key } for every provider with a usable key
+function getStatus() {
+  const status = {};
+  Object.keys(loadEntries()).forEach((provider) => {
+    const key = getKey(provider);
+    if (key) status[provider] = maskKey(key);
+  });
+  return status;
+}
+
+function setKey(provider, key, origin = null) {
+  if (typeof provider !== 'string' || !provider || typeof key !== 'string' || !key.trim()) {
+    throw new Error('A provider id and a key are required');
+  }
+  if (!safeStorage.isEncryptionAvailable()) {
+    throw new Error('Secure storage is not available on this system');
+  }
+  loadEntries()[provider] = {
+    key: safeStorage.encryptString(key.trim()).toString('base64'),
+    origin: typeof origin === 'string' ? origin : null
+  };
+  saveEntries();
+  return getStatus();
+}
+
+function removeKey(provider) {
+  if (loadEntries()[provider]) {
+    delete entries[provider];
+    saveEntries();
+  }
+  return getStatus();
+}
+
+// Only the app's own page may talk to the key store
+function isTrustedSender(event) {
+  return (event.senderFrame?.url || '').startsWith('file://');
+}
+
+function registerKeyHandlers() {
+  const handle = (channel, handler) => {
+    ipcMain.handle(channel, (event, ...args) => {
+      if (!isTrustedSender(event)) throw new Error('Untrusted sender');
+      return handler(...args);
+    });
+  };
+
+  handle('keys:status', () => getStatus());
+  handle('keys:set', (provider, key, origin) => setKey(provider, key, origin));
+  handle('keys:remove', (provider) => removeKey(provider));
+}
+
+module.exports = { registerKeyHandlers, getKey, getKeyOrigin, isTrustedSender };
@@ -0,0 +1,152 @@
+// Chat import and export without the UI: the JSON archive round trip, hostile
+// archives rebuilt from the fields the app knows, ChatGPT conversations without
+// an id, and re-importing chats that are in the Trash.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+global.ChatTree = require('../chat-tree.js');
+const ChatExport = require('../chat-export.js');
+
+const chatExport = new ChatExport(null);
+
+function sampleChat(id = 'chat-1') {
+  return {
+    id,
+    title: 'Sample',
+    provider: 'openai',
+    model: 'gpt-4o',
+    messages: [
+      { id: 'm1', parentId: null, content: 'question', sender: 'user', timestamp: '2024-05-01T10:00:00.000Z' },
+      { id: 'm2', parentId: 'm1', content: 'first answer', sender: 'ai', timestamp: '2024-05-01T10:00:05.000Z' },
+      {
+        id: 'm3', parentId: 'm1', content: 'second answer', sender: 'ai', timestamp: '2024-05-01T10:01:00.000Z',
+        attachments: [{ type: 'document', mimeType: 'text/plain', content: 'notes', filename: 'notes.txt', size: 5 }]
+      }
+    ],
+    activeLeafId: 'm3',
+    createdAt: '2024-05-01T10:00:00.000Z',
+    lastUpdated: '2024-05-01T10:01:00.000Z',
+    pinned: true,
+    folderId: 'folder-1',
+    tags: ['work'],
+    params: { systemPrompt: 'Be brief', temperature: 0.2, maxTokens: 512, stop: ['END'] }
+  };
+}
+
+const folder = { id: 'folder-1', name: 'Work', createdAt: '2024-04-01T00:00:00.000Z' };
+
+function archive(chats, folders = []) {
+  return JSON.stringify({ format: chatExport.archiveFormat, version: chatExport.archiveVersion, folders, chats });
+}
+
+function conversation(fields = {}) {
+  return {
+    title: 'From ChatGPT',
+    create_time: 1714557600,
+    current_node: 'b',
+    mapping: {
+      root: { id: 'root', parent: null, children: ['a'], message: null },
+      a: { id: 'a', parent: 'root', children: ['b'], message: { author: { role: 'user' }, content: { content_type: 'text', parts: ['hi'] } } },
+      b: { id: 'b', parent: 'a', children: [], message: { author: { role: 'assistant' }, content: { content_type: 'text', parts: ['hello'] } } }
+    },
+    ...fields
+  };
+}
+
+test('an archive round-trips every branch, attachment and folder', () => {
+  const chat = sampleChat();
+  const { chats, folders } = chatExport.parseImport(chatExport.toArchive([chat], [folder, { id: 'folder-2', name: 'Unused' }]));
+
+  assert.deepStrictEqual(chats, [chat]);
+  assert.deepStrictEqual(folders, [folder]);
+});
+
+test('unknown and hostile fields are stripped from an archive', () => {
+  const text = archive([{
+    ...sampleChat(),
+    deletedAt: '2024-05-02T00:00:00.000Z',
+    isAdmin: true,
+    tags: 'oops',
+    lastUpdated: 5,
+    pinned: 'yes',
+    params: { temperature: 'hot', seed: 1.5, stop: 'END', extra: 1 },
+    messages: [
+      { id: 'm1', parentId: null, content: 'question', sender: 'user', onclick: 'alert(1)' },
+      { id: 'm2', parentId: 'm1', content: 'answer', sender: 'system' },
+      { id: 'm3', parentId: 'm1', content: 42, sender: 'ai' },
+      'not a message',
+      { id: 'm4', parentId: 'm1', content: 'ok', sender: 'ai', attachments: [{ type: 'image', mimeType: 'text/html', base64: 'PHNjcmlwdD4=', filename: 'x.html' }] }
+    ]
+  }], [{ ...folder, color: 'red' }])
+    .replace('"isAdmin":true', '"isAdmin":true,"__proto__":{"polluted":true}')
+    .replace('"onclick"', '"__proto__":{"polluted":true},"onclick"')
+    .replace('"color"', '"__proto__":{"polluted":true},"color"');
+
+  const { chats, folders } = chatExport.parseImport(text);
+  const [chat] = chats;
+
+  assert.deepStrictEqual(Object.keys(chat).sort(),
+    ['activeLeafId', 'createdAt', 'folderId', 'id', 'lastUpdated', 'messages', 'model', 'provider', 'title']);
+  assert.strictEqual(Object.getPrototypeOf(chat), Object.prototype);
+  assert.strictEqual(chat.lastUpdated, chat.createdAt);
+  assert.deepStrictEqual(chat.messages, [
+    { id: 'm1', parentId: null, content: 'question', sender: 'user' },
+    { id: 'm4', parentId: 'm1', content: 'ok', sender: 'ai' }
+  ]);
+  assert.strictEqual(chat.activeLeafId, 'm4');
+  assert.deepStrictEqual(folders, [folder]);
+  assert.strictEqual({}.polluted, undefined);
+});
+
+test('an archive chat without an id or messages is skipped', () => {
+  const { chats } = chatExport.parseImport(archive([
+    { ...sampleChat(), id: { toString: 'x' } },
+    { ...sampleChat('chat-2'), messages: 'none' },
+    sampleChat('chat-3')
+  ]));
+
+  assert.deepStrictEqual(chats.map(chat => chat.id), ['chat-3']);
+});
+
+test('ChatGPT conversations without an id get distinct ids and are not merged', () => {
+  const { chats: imported } = chatExport.parseImport(JSON.stringify([conversation(), conversation({ id: 42 })]));
+
+  assert.strictEqual(imported.length, 2);
+  imported.forEach(chat => assert.match(chat.id, /^chatgpt-/));
+  assert.notStrictEqual(imported[0].id, imported[1].id);
+  assert.deepStrictEqual(imported[0].messages.map(msg => msg.content), ['hi', 'hello']);
+  assert.strictEqual(imported[0].activeLeafId, 'b');
+
+  const chats = [];
+  const result = chatExport.merge(chats, [], { chats: imported, folders: [] });
+  assert.strictEqual(result.chats, 2);
+  assert.strictEqual(chats.length, 2);
+});
+
+test('re-importing a chat that is in the Trash restores it', () => {
+  const trashed = { ...sampleChat(), messages: sampleChat().messages.slice(0, 2), deletedAt: '2024-05-02T00:00:00.000Z' };
+  const chats = [trashed];
+  const imported = chatExport.parseImport(archive([sampleChat()], [folder]));
+
+  const result = chatExport.merge(chats, [], imported);
+
+  assert.strictEqual(result.restored, 1);
+  assert.strictEqual(result.chats, 0);
+  assert.strictEqual(result.messages, 1);
+  assert.deepStrictEqual(result.changed, [trashed]);
+  assert.deepStrictEqual(result.folders, [folder]);
+  assert.strictEqual('deletedAt' in trashed, false);
+  assert.deepStrictEqual(trashed.messages.map(msg => msg.id), ['m1', 'm2', 'm3']);
+});
+
+test('importing the same archive twice changes nothing', () => {
+  const chats = [];
+  const folders = [];
+  chatExport.merge(chats, folders, chatExport.parseImport(archive([sampleChat()], [folder])));
+  const result = chatExport.merge(chats, folders, chatExport.parseImport(archive([sampleChat()], [folder])));
+
+  assert.deepStrictEqual(result, { chats: 0, messages: 0, restored: 0, changed: [], folders: [] });
+  assert.strictEqual(chats.length, 1);
+  assert.strictEqual(folders.length, 1);
+});
@@ -0,0 +1,137 @@
+// XSS payloads through MarkdownRenderer, loaded in a DOM with the same
+// scripts as index.html. Nothing that can run code may survive: no script
+// elements, no event handler attributes, no javascript:/data: URLs.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const root = path.join(__dirname, '..');
+
+function createRenderer() {
+  const { window } = new JSDOM('<!DOCTYPE html><body></body>', { runScripts: 'outside-only' });
+  // Stands in for mermaid, which needs a real layout engine: it records its
+  // settings and draws an SVG with everything a click directive could add
+  window.mermaid = {
+    settings: null,
+    initialize(settings) { this.settings = settings; },
+    parse: async () => true,
+    render: async () => ({
+      svg: '<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script>' +
+        '<g class="node" onclick="alert(1)"><a href="javascript:alert(1)"><text>A</text></a></g>' +
+        '<foreignObject><div onmouseover="alert(1)">B</div></foreignObject></svg>'
+    })
+  };
+  [
+    'node_modules/marked/lib/marked.umd.js',
+    'node_modules/dompurify/dist/purify.min.js',
+    'node_modules/katex/dist/katex.min.js',
+    'markdown-renderer.js'
+  ].forEach((file) => window.eval(fs.readFileSync(path.join(root, file), 'utf8')));
+  return { window, renderer: new window.MarkdownRenderer() };
+}
+
+const { window, renderer } = createRenderer();
+
+// Rendered HTML in a detached container, as the chat inserts it
+function renderInto(markdown) {
+  const container = window.document.createElement('div');
+  container.innerHTML = renderer.render(markdown);
+  return container;
+}
+
+function assertSafe(container) {
+  container.querySelectorAll('*').forEach((element) => {
+    const tag = element.nodeName.toLowerCase();
+    assert.ok(!['script', 'iframe', 'object', 'embed', 'style', 'form', 'base', 'meta'].includes(tag),
+      `<${tag}> survived: ${container.innerHTML}`);
+    [...element.attributes].forEach(({ name, value }) => {
+      assert.ok(!/^on/i.test(name), `${name} survived on <${tag}>: ${container.innerHTML}`);
+      if (['href', 'src', 'xlink:href', 'action', 'formaction'].includes(name)) {
+        assert.ok(!/^\s*(javascript|data|vbscript):/i.test(value), `${name}="${value}" survived on <${tag}>`);
+      }
+    });
+  });
+}
+
+test('img onerror is removed', () => {
+  const container = renderInto('<img src=x onerror=alert(1)> ![a](https://example.com/a.png" onerror="alert(1))');
+  assertSafe(container);
+  assert.strictEqual(container.querySelector('img'), null);
+});
+
+test('javascript: links lose their href', () => {
+  const container = renderInto([
+    '[a](javascript:alert(1))',
+    '[b](JaVaScRiPt:alert(1))',
+    '[c](  javascript:alert(1))',
+    '<a href="java&#x09;script:alert(1)">d</a>',
+    '[e](https://example.com)'
+  ].join('\n\n'));
+  assertSafe(container);
+  assert.deepStrictEqual([...container.querySelectorAll('a[href]')].map((a) => a.getAttribute('href')), ['https://example.com']);
+});
+
+test('data:text/html links lose their href', () => {
+  const container = renderInto('[a](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==) <a href="data:text/html,<script>alert(1)</script>">b</a>');
+  assertSafe(container);
+  assert.strictEqual(container.querySelector('a[href]'), null);
+});
+
+test('svg with a script is dropped', () => {
+  const container = renderInto('<svg><script>alert(1)</script></svg> <svg onload=alert(1)><a xlink:href="javascript:alert(1)">x</a></svg>');
+  assertSafe(container);
+  assert.strictEqual(container.querySelector('svg'), null);
+  assert.ok(!container.textContent.includes('alert'));
+});
+
+test('raw HTML inside markdown keeps only allowed tags', () => {
+  const container = renderInto([
+    '# Title <iframe src="https://example.com"></iframe>',
+    '<div onclick="alert(1)" style="position:fixed">**bold**</div>',
+    '<style>body { display: none }</style>',
+    '<form action="https://example.com"><button formaction="javascript:alert(1)">go</button></form>',
+    '<details open ontoggle=alert(1)>x</details>',
+    '<a href="https://example.com" target="_top" style="color:red">ok</a>',
+    '<code class="language-js hljs evil">x</code>'
+  ].join('\n\n'));
+  assertSafe(container);
+  ['div', 'details', 'button'].forEach((tag) => assert.strictEqual(container.querySelector(tag), null, tag));
+  container.querySelectorAll('*').forEach((element) => {
+    assert.ok(!element.hasAttribute('style') && !element.hasAttribute('target'), element.outerHTML);
+  });
+  assert.strictEqual(container.querySelector('code').className, 'language-js');
+});
+
+test('a link title cannot break out of its attribute', () => {
+  const container = renderInto('[x](https://example.com "a\\" onmouseover=\\"alert(1)") [y](https://example.com \'b" onfocus="alert(1)\')');
+  assertSafe(container);
+  const links = container.querySelectorAll('a');
+  assert.strictEqual(links.length, 2);
+  links.forEach((link) => assert.deepStrictEqual(
+    [...link.attributes].map((attribute) => attribute.name).sort(), ['href', 'title']));
+});
+
+test('KaTeX \\href and \\url do not make links', () => {
+  const container = renderInto('$\\href{javascript:alert(1)}{click}$ and $$\\url{javascript:alert(1)}$$ and \\(\\htmlId{x}{y}\\)');
+  renderer.renderMath(container);
+  assert.ok(container.querySelector('.katex'), 'KaTeX did not run');
+  assertSafe(container);
+  assert.strictEqual(container.querySelector('a'), null);
+  assert.strictEqual(container.querySelector('#x'), null);
+});
+
+test('mermaid click directives cannot run code', async () => {
+  const source = 'graph TD\n  A-->B\n  click A call alert(1)\n  click B href "javascript:alert(1)"';
+  const container = renderInto(`\`\`\`mermaid\n${source}\n\`\`\``);
+  assertSafe(container);
+  assert.strictEqual(container.querySelector('pre code').textContent.trim(), source);
+
+  assert.strictEqual(window.mermaid.settings.securityLevel, 'strict');
+  const diagram = window.document.createElement('div');
+  diagram.innerHTML = await renderer.renderDiagram(source);
+  assertSafe(diagram);
+  assert.ok(diagram.querySelector('svg'));
+});
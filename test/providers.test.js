@@ -0,0 +1,152 @@
+// Provider adapters against tools/mock-server.js: plain and streamed replies,
+// API errors, aborts and an unreachable server. Requests go out through
+// HttpTransport in browser mode (fetch), with keys from an in-memory KeyStore.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+global.BaseProvider = require('../providers/base-provider.js');
+const OpenAICompatibleProvider = require('../providers/openai-compatible.js');
+const AnthropicProvider = require('../providers/anthropic.js');
+const OllamaProvider = require('../providers/ollama.js');
+const KeyStore = require('../key-store.js');
+const HttpTransport = require('../http-transport.js');
+
+const context = [
+  { role: 'user', content: 'first question' },
+  { role: 'assistant', content: 'first answer' },
+  { role: 'user', content: 'hello mock server' }
+];
+
+let server;
+let baseUrl;
+const keyStore = new KeyStore(null);
+const transport = new HttpTransport(keyStore, null);
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+// An adapter wired up the way ProviderRegistry.register() does it
+function wire(provider) {
+  provider.keys = keyStore;
+  provider.transport = transport;
+  return provider;
+}
+
+function anthropic(model = 'mock-small') {
+  return wire(new AnthropicProvider({
+    id: 'anthropic',
+    name: 'Anthropic',
+    config: { endpoint: `${baseUrl}/v1/messages`, model, maxTokens: 100 }
+  }));
+}
+
+function ollama(model = 'mock-small') {
+  return wire(new OllamaProvider({ id: 'ollama', name: 'Ollama', config: { baseUrl, model } }));
+}
+
+function custom(model = 'mock-small', url = `${baseUrl}/v1`) {
+  return wire(new OpenAICompatibleProvider({
+    id: 'custom-mock',
+    name: 'Mock',
+    custom: true,
+    config: { baseUrl: url, model }
+  }));
+}
+
+before(async () => {
+  const port = await freePort();
+  baseUrl = `http://localhost:${port}`;
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'tools', 'mock-server.js')], {
+    env: { ...process.env, MOCK_PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  await new Promise((resolve, reject) => {
+    server.stdout.on('data', (data) => {
+      if (String(data).includes('listening')) resolve();
+    });
+    server.on('exit', (code) => reject(new Error(`The mock server exited with code ${code}`)));
+  });
+  await keyStore.set('anthropic', 'sk-ant-mock-key-for-tests');
+});
+
+after(() => {
+  if (server) server.kill();
+});
+
+for (const [name, create] of [['Anthropic', anthropic], ['Ollama', ollama], ['OpenAI-compatible', custom]]) {
+  test(`${name}: plain reply`, async () => {
+    const reply = await create().chat(context, { stream: false });
+    assert.strictEqual(reply, 'Echo: hello mock server');
+  });
+
+  test(`${name}: streamed reply arrives token by token`, async () => {
+    const tokens = [];
+    const reply = await create().chat(context, {
+      stream: true,
+      systemPrompt: 'Be brief.',
+      onToken: (token, text) => tokens.push([token, text])
+    });
+    assert.strictEqual(reply, 'Echo: hello mock server (system prompt: 9 chars)');
+    assert.ok(tokens.length > 1, `only ${tokens.length} token(s)`);
+    assert.strictEqual(tokens.map(([token]) => token).join(''), reply);
+    assert.strictEqual(tokens[tokens.length - 1][1], reply);
+  });
+
+  test(`${name}: API errors carry the status and message`, async () => {
+    await assert.rejects(create('error-429').chat(context, { stream: true }), /API error: 429 - Mock error 429/);
+  });
+
+  test(`${name}: aborting stops a streamed reply`, async () => {
+    const controller = new AbortController();
+    const tokens = [];
+    const reply = create().chat(context, {
+      stream: true,
+      signal: controller.signal,
+      onToken: (token) => {
+        tokens.push(token);
+        controller.abort();
+      }
+    });
+    await assert.rejects(reply, { name: 'AbortError' });
+    assert.strictEqual(tokens.length, 1);
+  });
+
+  test(`${name}: model list`, async () => {
+    const models = await create().listModels();
+    assert.ok(models.includes('mock-small') && models.includes('mock-large'), models.join(', '));
+  });
+}
+
+test('Anthropic: errors explain the error type', async () => {
+  await assert.rejects(anthropic('error-401').chat(context), /401 - Mock error 401 \(check your Anthropic API key\)/);
+});
+
+test('Anthropic: no key, no request', async () => {
+  await keyStore.remove('anthropic');
+  try {
+    await assert.rejects(anthropic().chat(context), /Anthropic API key not configured/);
+  } finally {
+    await keyStore.set('anthropic', 'sk-ant-mock-key-for-tests');
+  }
+});
+
+test('Ollama: a missing model is reported', async () => {
+  await assert.rejects(ollama('error-404').chat(context), /404 - model "error-404" not found/);
+});
+
+test('an unreachable server is reported by name', async () => {
+  const port = await freePort();
+  await assert.rejects(custom('mock-small', `http://localhost:${port}/v1`).chat(context),
+    new RegExp(`Cannot reach Mock at http://localhost:${port}\\. Is the server running\\?`));
+});
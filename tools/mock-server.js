@@ -0,0 +1,189 @@
+// Mock provider server for trying adapters without real API keys.
+//
+//   npm run mock-server            (listens on http://localhost:8787)
+//
+// Point a provider at it, e.g. AI_CONFIG.anthropic.endpoint =
+// 'http://localhost:8787/v1/messages', the Ollama server URL to
+// 'http://localhost:8787', or a custom provider to 'http://localhost:8787/v1'.
+// Replies echo the last user message word by word. A model named
+// "error-<status>" (e.g. error-401, error-429) answers with that error.
+// GET /v1/models and /api/tags list a few mock models.
+
+const http = require('http');
+
+const PORT = Number(process.env.MOCK_PORT) || 8787;
+
+function readJson(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body || '{}'));
+      } catch (e) {
+        resolve({});
+      }
+    });
+  });
+}
+
+function lastUserText(messages = []) {
+  const last = [...messages].reverse().find((m) => m.role === 'user');
+  if (!last) return '';
+  if (typeof last.content === 'string') return last.content;
+  return (last.content || []).filter((p) => p.type === 'text').map((p) => p.text).join(' ');
+}
+
+function countImages(messages = []) {
+  return messages.reduce((count, m) => {
+    if (Array.isArray(m.images)) return count + m.images.length;
+    if (!Array.isArray(m.content)) return count;
+    return count + m.content.filter((p) => p.type === 'image' || p.type === 'image_url').length;
+  }, 0);
+}
+
+function replyFor(body) {
+  const images = countImages(body.messages);
+  const system = body.system || (body.messages || []).find((m) => m.role === 'system')?.content;
+  return [
+    `Echo: ${lastUserText(body.messages)}`,
+    system ? `(system prompt: ${String(system).length} chars)` : '',
+    images ? `(${images} image${images === 1 ? '' : 's'})` : ''
+  ].filter(Boolean).join(' ');
+}
+
+function errorStatus(model) {
+  const match = /^error-(\d{3})$/.exec(model || '');
+  return match ? Number(match[1]) : 0;
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+// Emit the reply a word at a time so streaming is visible in the UI
+async function streamWords(res, text, writeChunk) {
+  for (const word of text.split(/(?<= )/)) {
+    writeChunk(word);
+    await new Promise((resolve) => setTimeout(resolve, 40));
+  }
+}
+
+async function handleAnthropic(req, res, body) {
+  const status = errorStatus(body.model);
+  if (status) {
+    const types = { 401: 'authentication_error', 429: 'rate_limit_error', 529: 'overloaded_error' };
+    return sendJson(res, status, {
+      type: 'error',
+      error: { type: types[status] || 'invalid_request_error', message: `Mock error ${status}` }
+    });
+  }
+  if (!req.headers['x-api-key']) {
+    return sendJson(res, 401, { type: 'error', error: { type: 'authentication_error', message: 'x-api-key header is required' } });
+  }
+
+  const text = replyFor(body);
+  if (!body.stream) {
+    return sendJson(res, 200, {
+      type: 'message',
+      role: 'assistant',
+      model: body.model,
+      content: [{ type: 'text', text }],
+      stop_reason: 'end_turn'
+    });
+  }
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  send('message_start', { type: 'message_start', message: { role: 'assistant', model: body.model, content: [] } });
+  send('content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } });
+  await streamWords(res, text, (word) => send('content_block_delta', {
+    type: 'content_block_delta',
+    index: 0,
+    delta: { type: 'text_delta', text: word }
+  }));
+  send('content_block_stop', { type: 'content_block_stop', index: 0 });
+  send('message_stop', { type: 'message_stop' });
+  res.end();
+}
+
+async function handleOllama(req, res, body) {
+  const status = errorStatus(body.model);
+  if (status) {
+    return sendJson(res, status, { error: status === 404 ? `model "${body.model}" not found, try pulling it first` : `Mock error ${status}` });
+  }
+
+  const text = replyFor(body);
+  if (body.stream === false) {
+    return sendJson(res, 200, { model: body.model, message: { role: 'assistant', content: text }, done: true });
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+  await streamWords(res, text, (word) => res.write(`${JSON.stringify({
+    model: body.model,
+    message: { role: 'assistant', content: word },
+    done: false
+  })}\n`));
+  res.end(`${JSON.stringify({ model: body.model, message: { role: 'assistant', content: '' }, done: true })}\n`);
+}
+
+async function handleOpenAI(req, res, body) {
+  const status = errorStatus(body.model);
+  if (status) {
+    return sendJson(res, status, { error: { message: `Mock error ${status}`, type: 'mock_error' } });
+  }
+
+  const text = replyFor(body);
+  if (!body.stream) {
+    return sendJson(res, 200, { choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }] });
+  }
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  await streamWords(res, text, (word) => res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: word } }] })}\n\n`));
+  res.end('data: [DONE]\n\n');
+}
+
+const MOCK_MODELS = ['mock-small', 'mock-large', 'mock-vision', 'error-401', 'error-429'];
+
+// One list shape that satisfies both the OpenAI and the Anthropic clients
+function handleModelList(req, res) {
+  sendJson(res, 200, {
+    object: 'list',
+    data: MOCK_MODELS.map((id) => ({ id, object: 'model', type: 'model', display_name: id })),
+    has_more: false
+  });
+}
+
+function handleOllamaTags(req, res) {
+  sendJson(res, 200, { models: MOCK_MODELS.map((name) => ({ name, model: name })) });
+}
+
+const routes = {
+  'POST /v1/messages': handleAnthropic,
+  'POST /api/chat': handleOllama,
+  'POST /v1/chat/completions': handleOpenAI,
+  'GET /v1/models': handleModelList,
+  'GET /api/tags': handleOllamaTags
+};
+
+const server = http.createServer(async (req, res) => {
+  // The renderer calls from a file:// page, so answer CORS preflights
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    return res.end();
+  }
+
+  const handler = routes[`${req.method} ${new URL(req.url, `http://localhost:${PORT}`).pathname}`];
+  if (!handler) {
+    return sendJson(res, 404, { error: 'Not found' });
+  }
+  handler(req, res, req.method === 'POST' ? await readJson(req) : {});
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock provider server listening on http://localhost:${PORT}`);
+});